@@ -0,0 +1,72 @@
+// Rotate the key that encrypts memory/, then retire the previous keys.
+// Usage: node scripts/rotate-memory-key.js            add a new active key
+//        node scripts/rotate-memory-key.js --retire [memoryDir]
+//
+// With MCP_ENCRYPTION_KEY_FILE a new key is generated and made active (the
+// file is created on first use); the previous keys stay in the file so data
+// not yet re-encrypted remains readable. A running server reloads the key
+// file within seconds and re-encrypts memory/ itself, one file at a time
+// alongside its own writes; a stopped one does so when it next starts.
+//
+// --retire is the separate, later step: it drops the previous keys only once
+// the server has recorded a complete re-encryption pass under the active key
+// in memory/encryption-status.json.
+//
+// With MCP_ENCRYPTION_KEY instead, rotate by setting the new key there and
+// the old one in MCP_ENCRYPTION_PREVIOUS_KEYS, then restart the server.
+// --retire then tells whether MCP_ENCRYPTION_PREVIOUS_KEYS can be emptied.
+import { fileURLToPath } from "node:url";
+import { addKeyToFile, keyIdOf, parseKey, readEncryptionStatus, readKeyFile, retireKeys } from "../src/encryption.js";
+
+const args = process.argv.slice(2);
+const retire = args.includes("--retire");
+const root = args.find((arg) => !arg.startsWith("--")) || process.env.MCP_MEMORY_DIR || fileURLToPath(new URL("../memory", import.meta.url));
+const keyFile = process.env.MCP_ENCRYPTION_KEY_FILE;
+
+if (!keyFile && !process.env.MCP_ENCRYPTION_KEY) {
+    console.error("Set MCP_ENCRYPTION_KEY_FILE (or MCP_ENCRYPTION_KEY) to rotate memory encryption keys");
+    process.exit(2);
+}
+
+if (!retire) {
+    if (!keyFile) {
+        console.error("With MCP_ENCRYPTION_KEY, set the new key there and the old one in MCP_ENCRYPTION_PREVIOUS_KEYS, then restart the server");
+        process.exit(2);
+    }
+    console.log(`New active key ${await addKeyToFile(keyFile)} in ${keyFile}`);
+    console.log(`The server re-encrypts ${root} under it; run this again with --retire once that is done`);
+    process.exit(0);
+}
+
+let active;
+try {
+    active = keyFile ? readKeyFile(keyFile).active : keyIdOf(parseKey(process.env.MCP_ENCRYPTION_KEY));
+} catch (error) {
+    console.error(`Cannot load encryption keys: ${error.message}`);
+    process.exit(2);
+}
+
+let status;
+try {
+    status = readEncryptionStatus(root);
+} catch (error) {
+    console.error(`Cannot read the re-encryption status under ${root}: ${error.message}`);
+    process.exit(1);
+}
+if (status?.active !== active) {
+    console.error(`The server has not yet re-encrypted ${root} under key ${active}; previous keys are kept. ` +
+        "Wait for its memory_reencrypted log record, or start it if it isn't running.");
+    process.exit(1);
+}
+if (status.failed > 0) {
+    console.error(`${status.failed} file(s) could not be re-encrypted on ${status.completedAt} (see the server's memory_reencryption_failed records); previous keys are kept`);
+    process.exit(1);
+}
+
+console.log(`Every file under ${root} was re-encrypted under key ${active} on ${status.completedAt}`);
+if (keyFile) {
+    const retired = await retireKeys(keyFile);
+    console.log(retired.length ? `Retired keys ${retired.join(", ")}` : "No previous keys to retire");
+} else {
+    console.log("MCP_ENCRYPTION_PREVIOUS_KEYS can now be emptied");
+}
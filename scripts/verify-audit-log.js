@@ -0,0 +1,29 @@
+// Verify the hash chain of an audit log written by the MCP server.
+// Usage: node scripts/verify-audit-log.js [path] [head]
+//   (defaults: MCP_AUDIT_LOG or the server's logs/audit.jsonl, and MCP_AUDIT_HEAD or <path>.head)
+import { fileURLToPath } from "node:url";
+import { defaultHeadPath, verifyAuditLog } from "../src/audit.js";
+
+const path = process.argv[2] || process.env.MCP_AUDIT_LOG || fileURLToPath(new URL("../logs/audit.jsonl", import.meta.url));
+const headPath = process.argv[3] || process.env.MCP_AUDIT_HEAD || defaultHeadPath(path);
+
+let report;
+try {
+    report = verifyAuditLog(path, { headPath });
+} catch (error) {
+    console.error(`Cannot read audit log ${path}: ${error.message}`);
+    process.exit(2);
+}
+
+if (report.problems.length > 0) {
+    for (const { line, problem } of report.problems) {
+        console.error(`${path}:${line}: ${problem}`);
+    }
+    console.error(`Audit log is NOT intact (${report.problems.length} problem(s) in ${report.entries} entries)`);
+    process.exit(1);
+}
+
+if (!report.headChecked) {
+    console.error(`No head file ${headPath}; entries deleted from the end of the log can't be detected`);
+}
+console.log(`Audit log intact: ${report.entries} entries, head #${report.head.seq} ${report.head.hash}`);
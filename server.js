@@ -1,190 +1,605 @@
 import express from "express";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { randomUUID } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { createServer as createHttpServer } from "node:http";
+import { createServer as createHttpsServer } from "node:https";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { ErrorCode, McpError, isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
+import { InMemoryEventStore } from "./src/event-store.js";
+import { AuthError, LOCAL_IDENTITY, createAnonymousMiddleware, createAuthMiddleware, createJwtValidator, identityOf, ownsSession } from "./src/auth.js";
+import { createAuthServiceClient } from "./src/auth-service.js";
+import { createPolicy, enforcePolicy, loadRoles } from "./src/rbac.js";
+import { auditServer, createAuditLog } from "./src/audit.js";
+import { AuthFailureTracker, TokenBucketLimiter, createHttpRateLimit, limitToolCalls } from "./src/rate-limit.js";
+import { ExpressionError, FUNCTIONS, evaluate } from "./src/expression.js";
+import { CalculationError, OPERATIONS, PRECISIONS, compute, operandSchema, precisionInputSchema } from "./src/precision.js";
+import { toolError, toolResult } from "./src/tool-results.js";
+import { CalculationHistory, sessionKeyOf } from "./src/history.js";
+import { GreetingBook } from "./src/greetings.js";
+import { completeFrom, completeToolArguments } from "./src/completions.js";
+import { registryOf, trackRegistrations } from "./src/registry.js";
+import { AgentMemoryStore } from "./src/agent-memory.js";
+import { keepTreeEncrypted, loadEncryption } from "./src/encryption.js";
+import { accessibleAgents, registerMemoryTools } from "./src/memory-tools.js";
+import { createNamespaceAcl, sessionNamespace } from "./src/namespace-acl.js";
+import { AgentRegistry } from "./src/agent-registry.js";
+import { registerAgentTools } from "./src/agent-tools.js";
+import { createSessionRecorder, recordSession } from "./src/session-recorder.js";
+import { loadPrompts, registerPrompts } from "./src/prompts.js";
+import { ResourceChanges, serveSubscriptions } from "./src/subscriptions.js";
+import { Metrics, measureServer, toPrometheus } from "./src/metrics.js";
+import { cachedCheck, checkWritable, runChecks } from "./src/health.js";
+import { ConfigError, configWarnings, loadConfig } from "./src/config.js";
+import { InFlight, createShutdown, onShutdownSignals, trackToolCalls } from "./src/shutdown.js";
+import { SessionLimitError, SessionRegistry, countSessionCalls } from "./src/sessions.js";
+import { correlateRequests, logger, serveLogging } from "./src/logger.js";
 
-// Create an MCP server
-const server = new McpServer({
-    name: "knoxBoss",
-    version: "1.0.0"
+// Validated settings from the defaults, a config file, the environment (and
+// .env) and command-line flags; startup stops on invalid or insecure ones
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    logger.critical("config_invalid", { issues: error.issues });
+    process.exit(1);
+}
+// JSON lines on stderr or in logging.file; stdout carries JSON-RPC in stdio mode
+logger.configure(config.logging);
+for (const warning of configWarnings(config)) {
+    logger.warning("config_warning", { message: warning });
+}
+
+// Role -> tool/resource permissions, with custom roles from storage.rbacConfig
+const policy = createPolicy(loadRoles(config.storage.rbacConfig));
+
+// Hash-chained record of every tool call and resource read
+const audit = createAuditLog({ path: config.storage.auditLog, headPath: config.storage.auditHead });
+
+// Per identity and tool call budgets, per minute. limits.tools overrides
+// single tools, e.g. MCP_RATE_LIMIT_TOOLS="calculate=10,add=100".
+const toolLimiters = new Map(Object.entries(config.limits.tools)
+    .map(([name, perMinute]) => [name, new TokenBucketLimiter({ capacity: perMinute })]));
+const defaultToolLimiter = new TokenBucketLimiter({ capacity: config.limits.toolPerMinute });
+const toolLimiterFor = (name) => toolLimiters.get(name) || defaultToolLimiter;
+
+// Structured result of add, multiply and calculate. Operands echo what the
+// client sent; the result is a string in decimal and bigint precision.
+const calculationOutputSchema = {
+    operation: z.enum(OPERATIONS),
+    a: z.union([z.number(), z.string()]),
+    b: z.union([z.number(), z.string()]),
+    result: z.union([z.number(), z.string()]),
+    precision: z.enum(PRECISIONS)
+};
+
+const historyEntrySchema = {
+    index: z.number().int(),
+    tool: z.string(),
+    input: z.record(z.unknown()),
+    result: z.union([z.number(), z.string()]),
+    timestamp: z.string()
+};
+
+const systemInfoOutputSchema = {
+    serverName: z.string(),
+    version: z.string(),
+    timestamp: z.string(),
+    nodeVersion: z.string(),
+    platform: z.string()
+};
+
+const systemInfo = () => ({
+    serverName: config.server.name,
+    version: config.server.version,
+    timestamp: new Date().toISOString(),
+    nodeVersion: process.version,
+    platform: process.platform
 });
 
-// Add an addition tool
-server.registerTool("add",
-    {
-        title: "Addition Tool",
-        description: "Add two numbers",
-        inputSchema: { a: z.number(), b: z.number() }
-    },
-    async ({ a, b }) => ({
-        content: [{ type: "text", text: String(a + b) }]
-    })
-);
-
-// Add a multiplication tool
-server.registerTool("multiply",
-    {
-        title: "Multiplication Tool",
-        description: "Multiply two numbers",
-        inputSchema: { a: z.number(), b: z.number() }
-    },
-    async ({ a, b }) => ({
-        content: [{ type: "text", text: String(a * b) }]
-    })
-);
-
-// Add a calculator tool with multiple operations
-server.registerTool("calculate",
-    {
-        title: "Calculator Tool",
-        description: "Perform basic calculations (add, subtract, multiply, divide)",
-        inputSchema: {
-            operation: z.enum(["add", "subtract", "multiply", "divide"]),
-            a: z.number(),
-            b: z.number()
-        }
-    },
-    async ({ operation, a, b }) => {
-        let result;
-        switch (operation) {
-            case "add":
-                result = a + b;
-                break;
-            case "subtract":
-                result = a - b;
-                break;
-            case "multiply":
-                result = a * b;
-                break;
-            case "divide":
-                if (b === 0) {
-                    return { content: [{ type: "text", text: "Error: Division by zero" }] };
+// Tool calls, open sessions, event-loop lag and memory, for system://metrics and GET /metrics
+const metrics = new Metrics({ application: config.server });
+
+// Changed resource URIs, forwarded to the sessions subscribed to them.
+// System info and metrics change all the time, so they are announced on an interval.
+const changes = new ResourceChanges();
+changes.publishEvery("system://info", config.metrics.systemInfoIntervalMs);
+changes.publishEvery("system://metrics", config.metrics.systemInfoIntervalMs);
+
+// Calculator results per transport session, dropped when the session closes
+const history = new CalculationHistory({ onChange: (sessionId) => changes.publish(`history://session/${sessionId}`) });
+
+// AES-256-GCM encryption of everything persisted under memory/, with keys
+// from encryption.keyFile or encryption.key
+const encryption = loadEncryption(config.encryption);
+
+// Names each identity has greeted, offered by the personal greeting template
+const greetings = new GreetingBook();
+
+// Persistent agent memory in the memory/agents/ layout
+const memory = new AgentMemoryStore({
+    root: config.storage.memoryDir,
+    encryption,
+    onChange: (agentId, key) => changes.publish(`memory://agents/${agentId}/${key}`)
+});
+
+// Registered agents and their lifecycle, in each agent's state.json.
+// agents.retention (archive, delete or keep) decides what happens to a
+// terminated agent's directory after agents.retentionDays.
+const agents = new AgentRegistry({ store: memory, ...config.agents });
+
+// Metadata and tool call transcript of every session, in memory/sessions/
+const recorder = createSessionRecorder({ root: config.storage.memoryDir, encryption });
+
+// Access rules and explicit grants for the memory namespaces; denials go to the audit log
+const acl = createNamespaceAcl({
+    path: config.storage.aclFile,
+    policy,
+    audit,
+    encryption
+});
+
+// Anything under memory/ not yet under the active key is re-encrypted at
+// startup and after every rotation (see scripts/rotate-memory-key.js)
+const reencryption = keepTreeEncrypted(config.storage.memoryDir, encryption, { skip: [config.encryption.keyFile].filter(Boolean) });
+
+// Prompt templates from prompts/*.json, loaded once at startup
+const prompts = loadPrompts(config.storage.promptsDir);
+
+// Running tool calls, which a shutdown waits for
+const inFlight = new InFlight();
+
+// Open HTTP sessions, closed once idle or too old
+const sessions = new SessionRegistry(config.sessions);
+
+// Everything still queued for disk, written before the process exits
+const flushWriters = async () => {
+    changes.close();
+    metrics.close();
+    sessions.close();
+    await Promise.all([agents.close(), acl.flush(), recorder.flush(), reencryption.flush()]);
+    // Last, since closing sessions and the steps above may still audit
+    await audit.flush();
+    await logger.flush();
+};
+
+// Create an MCP server. The SDK binds a server to a single transport, so
+// every session (stdio, SSE or Streamable HTTP) gets its own instance, scoped
+// to what the session's identity is allowed to use. `transport` names the
+// transport kind ("stdio", "sse" or "streamable") for the session recording.
+function createServer(identity, { transport }) {
+    const server = new McpServer(config.server);
+    // First, so it sees what the wrappers below remove
+    trackRegistrations(server);
+    // Installed before the policy so the policy's check runs first, and
+    // forbidden calls don't spend the caller's budget
+    limitToolCalls(server, identity, toolLimiterFor);
+    enforcePolicy(server, identity, policy);
+    auditServer(server, identity, audit);
+    recordSession(server, identity, recorder, { transport });
+    measureServer(server, metrics, { transport });
+    trackToolCalls(server, inFlight);
+    countSessionCalls(server, sessions);
+    serveLogging(server);
+    completeToolArguments(server);
+    serveSubscriptions(server, changes);
+
+    // Calculator operations, completed by prefix wherever they are an argument
+    const completeOperation = (value) => completeFrom(OPERATIONS, value);
+
+    // Record successful results of a calculator tool in the session's history
+    const withHistory = (tool, handler) => async (input, extra) => {
+        const result = await handler(input, extra);
+        if (!result.isError) {
+            history.record(sessionKeyOf(extra), { tool, input, result: result.structuredContent.result });
+        }
+        return result;
+    };
+
+    // Run one calculator operation in the requested precision mode. Failures
+    // become isError results carrying the CalculationError code.
+    const calculateWithPrecision = (operation, a, b, options, format) => {
+        try {
+            const result = compute(operation, a, b, options);
+            return toolResult({ operation, a, b, result, precision: options.precision }, format(result));
+        } catch (error) {
+            if (error instanceof CalculationError) {
+                return toolError(error.code, error.message);
+            }
+            throw error;
+        }
+    };
+
+    // Add an addition tool
+    server.registerTool("add",
+        {
+            title: "Addition Tool",
+            description: "Add two numbers. Pass numbers as strings with precision \"decimal\" or \"bigint\" for exact results.",
+            inputSchema: { a: operandSchema, b: operandSchema, ...precisionInputSchema },
+            outputSchema: calculationOutputSchema
+        },
+        withHistory("add", async ({ a, b, ...options }) => calculateWithPrecision("add", a, b, options, String))
+    );
+
+    // Add a multiplication tool
+    server.registerTool("multiply",
+        {
+            title: "Multiplication Tool",
+            description: "Multiply two numbers. Pass numbers as strings with precision \"decimal\" or \"bigint\" for exact results.",
+            inputSchema: { a: operandSchema, b: operandSchema, ...precisionInputSchema },
+            outputSchema: calculationOutputSchema
+        },
+        withHistory("multiply", async ({ a, b, ...options }) => calculateWithPrecision("multiply", a, b, options, String))
+    );
+
+    // Add a calculator tool with multiple operations
+    server.registerTool("calculate",
+        {
+            title: "Calculator Tool",
+            description: "Perform basic calculations (add, subtract, multiply, divide) in float, decimal or bigint precision",
+            inputSchema: {
+                operation: completable(z.enum(OPERATIONS), completeOperation),
+                a: operandSchema,
+                b: operandSchema,
+                ...precisionInputSchema
+            },
+            outputSchema: calculationOutputSchema
+        },
+        withHistory("calculate", async ({ operation, a, b, ...options }) =>
+            calculateWithPrecision(operation, a, b, options, (result) => `${a} ${operation} ${b} = ${result}`))
+    );
+
+    // Evaluate a whole arithmetic expression in one call
+    server.registerTool("evaluate",
+        {
+            title: "Expression Evaluator",
+            description: "Evaluate an arithmetic expression such as `(3 + 4) * sqrt(2) ^ 2 / max(a, b)`. " +
+                "Supports + - * / % ^, parentheses, unary minus, the constants pi and e, named variables and the functions " +
+                `${Object.keys(FUNCTIONS).join(", ")} (ln is the natural log, log is base 10). ` +
+                "The variable `ans` holds the previous result of this session.",
+            inputSchema: {
+                expression: z.string().min(1).max(1000),
+                variables: z.record(z.number()).optional()
+            },
+            outputSchema: {
+                expression: z.string(),
+                variables: z.record(z.number()),
+                result: z.number()
+            }
+        },
+        withHistory("evaluate", async ({ expression, variables = {} }, extra) => {
+            try {
+                const previous = history.latest(sessionKeyOf(extra));
+                const ans = previous === undefined ? undefined : Number(previous.result);
+                const result = evaluate(expression, Number.isFinite(ans) ? { ans, ...variables } : variables);
+                return toolResult({ expression, variables, result }, `${expression} = ${result}`);
+            } catch (error) {
+                if (error instanceof ExpressionError) {
+                    return toolError(error.code, error.message, { position: error.position });
                 }
-                result = a / b;
-                break;
-            default:
-                return { content: [{ type: "text", text: "Error: Invalid operation" }] };
+                throw error;
+            }
+        })
+    );
+
+    // Recall an earlier result, optionally feeding it into a new calculation
+    server.registerTool("recall",
+        {
+            title: "Recall Result",
+            description: "Get a previous calculation result of this session (`ans`). With `operation` and `b`, " +
+                "compute `<previous result> <operation> b` and record it as a new result.",
+            inputSchema: {
+                index: z.number().int().default(-1)
+                    .describe("History index, or negative to count back from the latest (-1 is the last result)"),
+                operation: completable(z.enum(OPERATIONS).optional(), completeOperation),
+                b: operandSchema.optional(),
+                ...precisionInputSchema
+            },
+            outputSchema: {
+                recalled: z.object(historyEntrySchema),
+                calculation: z.object(calculationOutputSchema).optional()
+            }
+        },
+        async ({ index, operation, b, ...options }, extra) => {
+            const sessionId = sessionKeyOf(extra);
+            const recalled = history.get(sessionId, index);
+            if (!recalled) {
+                return toolError("NO_SUCH_RESULT", `No calculation result at index ${index} in this session`);
+            }
+            if (!operation) {
+                return toolResult({ recalled }, `ans = ${recalled.result}`);
+            }
+            if (b === undefined) {
+                return toolError("MISSING_OPERAND", `Operation ${operation} needs the operand b`);
+            }
+
+            const calculation = calculateWithPrecision(operation, recalled.result, b, options,
+                (result) => `${recalled.result} ${operation} ${b} = ${result}`);
+            if (calculation.isError) {
+                return calculation;
+            }
+            history.record(sessionId, { tool: "recall", input: { index, operation, b, ...options }, result: calculation.structuredContent.result });
+            return toolResult({ recalled, calculation: calculation.structuredContent }, calculation.content[0].text);
         }
-        return { content: [{ type: "text", text: `${a} ${operation} ${b} = ${result}` }] };
-    }
-);
-
-// Fix the greeting resource - use simpler resource registration
-server.registerResource(
-    "greeting",
-    "greeting://hello",
-    {
-        title: "Greeting Resource",
-        description: "A simple greeting message",
-        mimeType: "text/plain"
-    },
-    async () => ({
-        contents: [{
-            uri: "greeting://hello",
-            mimeType: "text/plain",
-            text: "Hello from knoxBoss MCP Server! 👋"
-        }]
-    })
-);
-
-// Add a dynamic greeting resource that can take parameters
-server.registerResource(
-    "personal-greeting",
-    "greeting://personal/{name}",
-    {
-        title: "Personal Greeting",
-        description: "Generate a personalized greeting",
-        mimeType: "text/plain"
-    },
-    async (uri) => {
-        // Extract name from URI
-        const urlParts = uri.split('/');
-        const name = urlParts[urlParts.length - 1] || 'Friend';
-
-        return {
+    );
+
+    // Forget this session's calculation history
+    server.registerTool("clear_history",
+        {
+            title: "Clear History",
+            description: "Clear the calculation history of this session",
+            inputSchema: {},
+            outputSchema: { cleared: z.number().int() }
+        },
+        async (_input, extra) => {
+            const cleared = history.clear(sessionKeyOf(extra));
+            return toolResult({ cleared }, `Cleared ${cleared} history entries`);
+        }
+    );
+
+    // Calculation history of the current session, paged with ?offset=&limit=
+    server.registerResource(
+        "session-history",
+        new ResourceTemplate("history://session/{sessionId}", {
+            list: async (extra) => ({
+                resources: [{
+                    uri: `history://session/${sessionKeyOf(extra)}`,
+                    name: "Calculation history of this session",
+                    mimeType: "application/json"
+                }]
+            }),
+            complete: {
+                // Only the current session's history can be read
+                sessionId: (value) => completeFrom([sessionKeyOf({ sessionId: server.server.transport?.sessionId })], value)
+            }
+        }),
+        {
+            title: "Calculation History",
+            description: "Calculator results of this session, oldest first. Page with ?offset=0&limit=50.",
+            mimeType: "application/json"
+        },
+        async (uri, { sessionId }, extra) => {
+            // The template variable swallows the query string; paging comes from the URL
+            const requested = String(sessionId).split("?")[0];
+            if (requested !== sessionKeyOf(extra)) {
+                throw new McpError(ErrorCode.InvalidParams, `No history for session ${requested} in this session`);
+            }
+
+            const offset = Math.max(0, Number.parseInt(uri.searchParams.get("offset") || "0", 10) || 0);
+            const limit = Math.min(500, Math.max(1, Number.parseInt(uri.searchParams.get("limit") || "50", 10) || 50));
+            return {
+                contents: [{
+                    uri: uri.href,
+                    mimeType: "application/json",
+                    text: JSON.stringify({ sessionId: requested, ...history.list(requested, { offset, limit }) }, null, 2)
+                }]
+            };
+        }
+    );
+
+    const readableRecordings = async () => (await recorder.list())
+        .filter((recording) => recording.identity?.subject === identity.subject
+            || acl.allows(identity, sessionNamespace(recording.date), "read"));
+    // Dates and session ids of readable recordings, completed by prefix
+    const completeRecordingDate = async (value) => completeFrom((await readableRecordings()).map((recording) => recording.date), value);
+    const completeRecordingSession = async (value, context) => completeFrom((await readableRecordings())
+        .filter((recording) => !context?.arguments?.date || recording.date === context.arguments.date)
+        .map((recording) => recording.sessionId), value);
+
+    // Recording of a session made by this server: metadata and transcript.
+    // Only the identity that ran the session can read it, unless the
+    // namespace ACL allows reading sessions/<date>.
+    server.registerResource(
+        "session-recording",
+        new ResourceTemplate("sessions://{date}/{sessionId}", {
+            list: async () => ({
+                resources: (await readableRecordings())
+                    .slice(0, 100)
+                    .map((recording) => ({
+                        uri: `sessions://${recording.date}/${recording.sessionId}`,
+                        name: `Session ${recording.sessionId} (${recording.startedAt})`,
+                        mimeType: "text/markdown"
+                    }))
+            }),
+            complete: { date: completeRecordingDate, sessionId: completeRecordingSession }
+        }),
+        {
+            title: "Session Recording",
+            description: "Metadata and transcript of a recorded session",
+            mimeType: "text/markdown"
+        },
+        async (uri, { date, sessionId }, extra) => {
+            const recording = await recorder.read(date, sessionId);
+            const allowed = recording && (recording.metadata.identity?.subject === identity.subject
+                || acl.check(identity, sessionNamespace(date), "read", { sessionId: extra?.sessionId }));
+            if (!allowed) {
+                throw new McpError(ErrorCode.InvalidParams, `No recording of session ${sessionId} on ${date}`);
+            }
+            return {
+                contents: [
+                    { uri: uri.href, mimeType: "application/json", text: JSON.stringify(recording.metadata, null, 2) },
+                    { uri: uri.href, mimeType: "text/markdown", text: recording.conversation }
+                ]
+            };
+        }
+    );
+
+    // Fix the greeting resource - use simpler resource registration
+    server.registerResource(
+        "greeting",
+        "greeting://hello",
+        {
+            title: "Greeting Resource",
+            description: "A simple greeting message",
+            mimeType: "text/plain"
+        },
+        async () => ({
             contents: [{
-                uri: uri,
+                uri: "greeting://hello",
                 mimeType: "text/plain",
-                text: `Hello, ${decodeURIComponent(name)}! Welcome to knoxBoss! 🎉`
+                text: "Hello from knoxBoss MCP Server! 👋"
             }]
-        };
-    }
-);
-
-// Add a system info resource
-server.registerResource(
-    "system-info",
-    "system://info",
-    {
-        title: "System Information",
+        })
+    );
+
+    // Add a dynamic greeting resource that can take parameters. Names this
+    // identity has greeted are listed and offered as completions.
+    server.registerResource(
+        "personal-greeting",
+        new ResourceTemplate("greeting://personal/{name}", {
+            list: async () => ({
+                resources: greetings.namesOf(identity.subject).map((name) => ({
+                    uri: `greeting://personal/${encodeURIComponent(name)}`,
+                    name: `Greeting for ${name}`,
+                    mimeType: "text/plain"
+                }))
+            }),
+            complete: {
+                name: (value) => greetings.complete(identity.subject, value)
+            }
+        }),
+        {
+            title: "Personal Greeting",
+            description: "Generate a personalized greeting",
+            mimeType: "text/plain"
+        },
+        async (uri, { name }) => {
+            let decoded;
+            try {
+                decoded = decodeURIComponent(name);
+            } catch {
+                throw new McpError(ErrorCode.InvalidParams, `Invalid name in ${uri.href}`);
+            }
+            greetings.record(identity.subject, decoded);
+
+            return {
+                contents: [{
+                    uri: uri.href,
+                    mimeType: "text/plain",
+                    text: `Hello, ${decoded}! Welcome to knoxBoss! 🎉`
+                }]
+            };
+        }
+    );
+
+    // Add a system info resource
+    server.registerResource(
+        "system-info",
+        "system://info",
+        {
+            title: "System Information",
+            description: "Get system information",
+            mimeType: "application/json"
+        },
+        async () => ({
+            contents: [{
+                uri: "system://info",
+                mimeType: "application/json",
+                text: JSON.stringify(systemInfo(), null, 2)
+            }]
+        })
+    );
+
+    // Runtime metrics, the same numbers GET /metrics serves to Prometheus
+    server.registerResource(
+        "system-metrics",
+        "system://metrics",
+        {
+            title: "Runtime Metrics",
+            description: "Tool call counts, errors and latency, open sessions, event-loop lag and memory",
+            mimeType: "application/json"
+        },
+        async () => ({
+            contents: [{
+                uri: "system://metrics",
+                mimeType: "application/json",
+                text: JSON.stringify(metrics.snapshot(), null, 2)
+            }]
+        })
+    );
+
+    // Greeting as a tool
+    server.registerTool("get_greeting", {
+        title: "Get Greeting",
+        description: "Get a greeting message",
+        inputSchema: { name: completable(z.string().optional(), (value) => greetings.complete(identity.subject, value)) },
+        outputSchema: { name: z.string(), greeting: z.string() }
+    }, async ({ name = "Friend" }) => {
+        greetings.record(identity.subject, name);
+        const greeting = `Hello, ${name}! Welcome to knoxBoss! 👋`;
+        return toolResult({ name, greeting }, greeting);
+    });
+
+    // System info as a tool
+    server.registerTool("get_system_info", {
+        title: "Get System Info",
         description: "Get system information",
-        mimeType: "application/json"
-    },
-    async () => ({
-        contents: [{
-            uri: "system://info",
-            mimeType: "application/json",
-            text: JSON.stringify({
-                serverName: "knoxBoss",
-                version: "1.0.0",
-                timestamp: new Date().toISOString(),
-                nodeVersion: process.version,
-                platform: process.platform
-            }, null, 2)
-        }]
-    })
-);
-
-// Greeting as a tool
-server.registerTool("get_greeting", {
-    title: "Get Greeting",
-    description: "Get a greeting message",
-    inputSchema: { name: z.string().optional() }
-}, async ({ name = "Friend" }) => ({
-    content: [{ type: "text", text: `Hello, ${name}! Welcome to knoxBoss! 👋` }]
-}));
-
-// System info as a tool
-server.registerTool("get_system_info", {
-    title: "Get System Info",
-    description: "Get system information",
-    inputSchema: {}
-}, async () => ({
-    content: [{
-        type: "text", text: JSON.stringify({
-            serverName: "knoxBoss",
-            version: "1.0.0",
-            timestamp: new Date().toISOString(),
-            nodeVersion: process.version,
-            platform: process.platform
-        }, null, 2)
-    }]
-}));
-
-
-// =============================================================================
-// DEBUG: Add logging to see what's happening
-// =============================================================================
-
-// Add some debug info (only in non-stdio mode)
-if (process.env.MCP_TRANSPORT !== 'stdio') {
-    console.log("Registered tools:", Object.keys(server._registeredResources));
+        inputSchema: {},
+        outputSchema: systemInfoOutputSchema
+    }, async () => toolResult(systemInfo()));
+
+    // Agent memory tools and resources
+    registerMemoryTools(server, { identity, store: memory, acl });
+
+    // Agent registry tools
+    registerAgentTools(server, { identity, registry: agents });
+
+    // Prompts library; `complete` in a prompt file names one of these providers
+    registerPrompts(server, prompts, {
+        completers: {
+            operation: completeOperation,
+            agentId: async (value) => completeFrom(await accessibleAgents({ identity, store: memory, acl }, "read"), value),
+            date: completeRecordingDate,
+            sessionId: completeRecordingSession
+        },
+        variables: (extra) => ({ sessionId: sessionKeyOf(extra) })
+    });
+
+    return server;
 }
 
 
+// What a fully privileged session is offered, for troubleshooting
+const localServer = createServer(LOCAL_IDENTITY, { transport: config.transport === 'stdio' ? "stdio" : "streamable" });
+logger.debug("server_registered", {
+    tools: [...registryOf(localServer).tools.keys()],
+    resources: [...registryOf(localServer).resources.keys()],
+    resourceTemplates: [...registryOf(localServer).templates.keys()],
+    prompts: [...registryOf(localServer).prompts.keys()]
+});
+
+
 // Check if running in stdio mode (for Claude Desktop)
-if (process.env.MCP_TRANSPORT === 'stdio' || process.argv.includes('--stdio')) {
+if (config.transport === 'stdio') {
+    const server = createServer(LOCAL_IDENTITY, { transport: "stdio" });
     const transport = new StdioServerTransport();
     server.connect(transport).then(() => {
-        // Don't log to console.error in stdio mode as it interferes with JSON-RPC
+        logger.info("listening", { transport: "stdio" });
     }).catch((error) => {
-        // Only log errors to stderr, not success messages
-        process.stderr.write(`Error: ${error.message}\n`);
+        logger.error("stdio_connect_failed", { error });
+    });
+
+    // The client closing stdin ends the session like a signal does, so its
+    // recording gets an end time
+    const shutdown = createShutdown({
+        gracePeriodMs: config.shutdown.gracePeriodMs,
+        inFlight,
+        closeSessions: () => server.close(),
+        flush: flushWriters
     });
+    onShutdownSignals(shutdown);
+    process.stdin.on('end', () => shutdown('stdin closed'));
 } else {
     // HTTP/SSE server mode
     const app = express();
+    app.use(correlateRequests());
     app.use(express.json());
 
     const transports = {
@@ -192,30 +607,376 @@ if (process.env.MCP_TRANSPORT === 'stdio' || process.argv.includes('--stdio')) {
         sse: {}
     };
 
+    // Cleared when shutdown starts: new sessions are refused while open ones drain
+    let accepting = true;
+
+    // Identity (token subject) that opened each session, keyed by session id
+    const sessionOwners = new Map();
+
+    // Every MCP route requires a bearer token unless auth is explicitly
+    // disabled with MCP_AUTH=none for local development. Tokens are verified
+    // locally (MCP_AUTH=jwt, the default) or by the Elixir auth service
+    // (MCP_AUTH=service).
+    const authService = config.auth.mode === 'service'
+        ? createAuthServiceClient({ baseUrl: config.auth.serviceUrl })
+        : undefined;
+
+    // Repeated token failures from one client are slowed down, then locked out
+    const authFailures = new AuthFailureTracker({
+        lockoutThreshold: config.auth.lockoutThreshold,
+        lockoutMs: config.auth.lockoutMinutes * 60 * 1000
+    });
+
+    let requireAuth;
+    if (config.auth.mode === 'none') {
+        requireAuth = createAnonymousMiddleware();
+    } else if (authService) {
+        requireAuth = createAuthMiddleware({ validator: authService.validate, failures: authFailures });
+    } else {
+        requireAuth = createAuthMiddleware({
+            failures: authFailures,
+            validator: createJwtValidator({
+                publicKeyPath: config.auth.publicKey,
+                jwksPath: config.auth.jwks,
+                issuer: config.auth.issuer,
+                audience: config.auth.audience
+            })
+        });
+    }
+
+    // Request budgets per minute: per client IP before authentication, then
+    // per authenticated identity
+    const ipRateLimit = createHttpRateLimit({
+        limiter: new TokenBucketLimiter({ capacity: config.limits.ipPerMinute }),
+        keyOf: (req) => req.ip
+    });
+    const identityRateLimit = createHttpRateLimit({
+        limiter: new TokenBucketLimiter({ capacity: config.limits.identityPerMinute }),
+        keyOf: (req) => identityOf(req)?.subject
+    });
+
+    app.use(['/mcp', '/sse', '/messages', '/auth', '/metrics', '/ready'], ipRateLimit);
+    app.use(['/mcp', '/sse', '/messages', '/admin'], requireAuth, identityRateLimit);
+
+    // Liveness: the process is up and serving HTTP
+    app.get('/health', (req, res) => {
+        res.json({ status: 'healthy', timestamp: new Date().toISOString(), uptimeSeconds: process.uptime() });
+    });
+
+    // Readiness: 200 when every check passes, otherwise 503. Neither probe
+    // needs a token, so load balancers and supervisors can call them. Checks
+    // that touch the disk or the network run at most once per interval.
+    const readinessChecks = {
+        accepting: () => {
+            if (!accepting) {
+                throw new Error('Shutting down');
+            }
+        },
+        // What a session is offered, from the server built once at startup
+        tools: () => {
+            const { tools, resources, templates, prompts } = registryOf(localServer);
+            if (tools.size === 0) {
+                throw new Error('No tools are registered');
+            }
+            return { tools: tools.size, resources: resources.size + templates.size, prompts: prompts.size };
+        },
+        transports: () => ({
+            streamable: Object.keys(transports.streamable).length,
+            sse: Object.keys(transports.sse).length
+        }),
+        // New sessions are refused with 503 once the server is full
+        sessions: () => {
+            if (sessions.size >= config.sessions.maxSessions) {
+                throw new Error(`Session limit of ${config.sessions.maxSessions} reached`);
+            }
+            return { open: sessions.size, max: config.sessions.maxSessions };
+        },
+        memory: cachedCheck(() => checkWritable(memory.root)),
+        ...(authService ? {
+            authService: cachedCheck(async () => {
+                await authService.health();
+                return {};
+            })
+        } : {})
+    };
+
+    app.get('/ready', async (req, res) => {
+        const report = await runChecks(readinessChecks);
+        res.status(report.status === 'ready' ? 200 : 503).json(report);
+    });
+
+    // Prometheus scrape endpoint. With metrics.token set, scrapers must
+    // send it as a bearer token; `Accept: application/json` gets the JSON of
+    // system://metrics instead.
+    app.get('/metrics', (req, res) => {
+        const token = config.metrics.token;
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            res.status(401).json({ error: 'Missing or invalid metrics token' });
+            return;
+        }
+        if (req.accepts(['text/plain', 'application/json']) === 'application/json') {
+            res.json(metrics.snapshot());
+            return;
+        }
+        res.type('text/plain; version=0.0.4').send(toPrometheus(metrics.snapshot()));
+    });
+
+    const rejectForeignSession = (res) => {
+        res.status(403).json({ error: 'Session belongs to another identity' });
+    };
+
+    // 503 when the server is full, 429 when the caller has too many sessions
+    const sessionLimitStatus = (error) => (error.scope === 'global' ? 503 : 429);
+
+    // Session administration, like the auth service's /api/v1/admin/sessions.
+    // Needs the `admin:sessions` permission.
+    const requireSessionAdmin = (req, res, next) => {
+        if (!policy.can(identityOf(req), 'admin:sessions')) {
+            res.status(403).json({ error: 'Missing permission admin:sessions' });
+            return;
+        }
+        next();
+    };
+
+    app.get('/admin/sessions', requireSessionAdmin, (req, res) => {
+        res.json({ sessions: sessions.list() });
+    });
+
+    app.delete('/admin/sessions/:sessionId', requireSessionAdmin, async (req, res) => {
+        if (!(await sessions.terminate(req.params.sessionId))) {
+            res.status(404).json({ error: 'Session not found' });
+            return;
+        }
+        logger.notice('sessions_terminated', {
+            correlationId: req.headers['x-request-id'],
+            by: identityOf(req).subject,
+            sessionId: req.params.sessionId
+        });
+        res.json({ success: true, terminated: 1 });
+    });
+
+    // `?subject=` limits termination to one identity's sessions
+    app.delete('/admin/sessions', requireSessionAdmin, async (req, res) => {
+        const terminated = await sessions.terminateAll({ subject: req.query.subject });
+        logger.notice('sessions_terminated', {
+            correlationId: req.headers['x-request-id'],
+            by: identityOf(req).subject,
+            subject: req.query.subject,
+            terminated
+        });
+        res.json({ success: true, terminated });
+    });
+
+    // Modern Streamable HTTP endpoint. POST carries JSON-RPC messages (an
+    // initialize request without `Mcp-Session-Id` opens a new session), GET
+    // opens the server-to-client stream and DELETE ends the session.
+    app.post('/mcp', async (req, res) => {
+        const sessionId = req.headers['mcp-session-id'];
+        let transport = sessionId ? transports.streamable[sessionId] : undefined;
+
+        if (!transport) {
+            if (sessionId || !isInitializeRequest(req.body)) {
+                res.status(sessionId ? 404 : 400).json({
+                    jsonrpc: "2.0",
+                    error: {
+                        code: -32000,
+                        message: sessionId ? "Session not found" : "Bad Request: No valid session ID provided"
+                    },
+                    id: null
+                });
+                return;
+            }
+            if (!accepting) {
+                res.status(503).json({
+                    jsonrpc: "2.0",
+                    error: { code: -32000, message: "Server is shutting down" },
+                    id: null
+                });
+                return;
+            }
+            try {
+                sessions.admit(identityOf(req).subject);
+            } catch (error) {
+                if (!(error instanceof SessionLimitError)) {
+                    throw error;
+                }
+                res.status(sessionLimitStatus(error)).json({
+                    jsonrpc: "2.0",
+                    error: { code: -32000, message: error.message },
+                    id: null
+                });
+                return;
+            }
+
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                eventStore: new InMemoryEventStore(),
+                onsessioninitialized: (newSessionId) => {
+                    transports.streamable[newSessionId] = transport;
+                    sessionOwners.set(newSessionId, identityOf(req).subject);
+                    sessions.open(newSessionId, {
+                        subject: identityOf(req).subject,
+                        transport: "streamable",
+                        close: () => transport.close()
+                    });
+                }
+            });
+            transport.onclose = () => {
+                if (transport.sessionId) {
+                    delete transports.streamable[transport.sessionId];
+                    sessionOwners.delete(transport.sessionId);
+                    sessions.closed(transport.sessionId);
+                    history.drop(transport.sessionId);
+                }
+            };
+
+            const server = createServer(identityOf(req), { transport: "streamable" });
+            await server.connect(transport);
+        } else if (!ownsSession(sessionOwners, sessionId, req)) {
+            rejectForeignSession(res);
+            return;
+        }
+
+        sessions.touch(sessionId);
+        await transport.handleRequest(req, res, req.body);
+    });
+
+    // GET (resumable notification stream) and DELETE (session termination)
+    // both require an existing session
+    const handleSessionRequest = async (req, res) => {
+        const sessionId = req.headers['mcp-session-id'];
+        const transport = sessionId ? transports.streamable[sessionId] : undefined;
+        if (!transport) {
+            res.status(sessionId ? 404 : 400).send(sessionId ? 'Session not found' : 'Missing Mcp-Session-Id header');
+            return;
+        }
+        if (!ownsSession(sessionOwners, sessionId, req)) {
+            rejectForeignSession(res);
+            return;
+        }
+        sessions.touch(sessionId);
+        await transport.handleRequest(req, res);
+    };
+
+    app.get('/mcp', handleSessionRequest);
+    app.delete('/mcp', handleSessionRequest);
+
+    // Token refresh and logout are proxied to the auth service. Logging out
+    // also closes every MCP session the caller still has open.
+    if (authService) {
+        const sendAuthServiceError = (res, error) => {
+            const status = error.code === 'unavailable' ? 503 : error.code === 'logout_failed' ? 400 : 401;
+            res.status(status).json({ error: error.message });
+        };
+
+        app.post('/auth/refresh', async (req, res, next) => {
+            try {
+                res.json(await authService.refresh(req.body?.refresh_token));
+            } catch (error) {
+                error instanceof AuthError ? sendAuthServiceError(res, error) : next(error);
+            }
+        });
+
+        app.post('/auth/logout', requireAuth, async (req, res, next) => {
+            try {
+                await authService.logout(req.auth.token);
+            } catch (error) {
+                error instanceof AuthError ? sendAuthServiceError(res, error) : next(error);
+                return;
+            }
+
+            const subject = identityOf(req).subject;
+            for (const [sessionId, owner] of sessionOwners) {
+                if (owner === subject) {
+                    await (transports.streamable[sessionId] || transports.sse[sessionId])?.close();
+                }
+            }
+            res.json({ success: true, message: 'Logged out' });
+        });
+    }
+
+    // Legacy SSE endpoint for older clients
     app.get('/sse', async (req, res) => {
+        if (!accepting) {
+            res.status(503).send('Server is shutting down');
+            return;
+        }
+        try {
+            sessions.admit(identityOf(req).subject);
+        } catch (error) {
+            if (!(error instanceof SessionLimitError)) {
+                throw error;
+            }
+            res.status(sessionLimitStatus(error)).send(error.message);
+            return;
+        }
         const transport = new SSEServerTransport('/messages', res);
         transports.sse[transport.sessionId] = transport;
+        sessionOwners.set(transport.sessionId, identityOf(req).subject);
+        sessions.open(transport.sessionId, {
+            subject: identityOf(req).subject,
+            transport: "sse",
+            close: () => transport.close()
+        });
 
         res.on("close", () => {
             delete transports.sse[transport.sessionId];
+            sessionOwners.delete(transport.sessionId);
+            sessions.closed(transport.sessionId);
+            history.drop(transport.sessionId);
         });
 
+        const server = createServer(identityOf(req), { transport: "sse" });
         await server.connect(transport);
     });
 
+    // Legacy message endpoint for older clients
     app.post('/messages', async (req, res) => {
         const sessionId = req.query.sessionId;
         const transport = transports.sse[sessionId];
-        if (transport) {
+        if (transport && !ownsSession(sessionOwners, sessionId, req)) {
+            rejectForeignSession(res);
+        } else if (transport) {
+            sessions.touch(sessionId);
             await transport.handlePostMessage(req, res, req.body);
         } else {
             res.status(400).send('No transport found for sessionId');
         }
     });
 
-    // app.listen(3333, () => {
-    //     console.log("HTTP/SSE server running on port 3333");
-    // });
+    // HTTPS when http.tls has a certificate; with http.tls.ca and
+    // requestClientCert, clients must present a certificate signed by that CA
+    const { tls } = config.http;
+    const listener = tls.cert
+        ? createHttpsServer({
+            cert: readFileSync(tls.cert),
+            key: readFileSync(tls.key),
+            ca: tls.ca ? readFileSync(tls.ca) : undefined,
+            requestCert: tls.requestClientCert,
+            rejectUnauthorized: tls.requestClientCert,
+            minVersion: tls.minVersion
+        }, app)
+        : createHttpServer(app);
+    listener.listen(config.http.port, config.http.host, () => {
+        const { port } = listener.address();
+        logger.info('listening', { url: `${tls.cert ? 'https' : 'http'}://${config.http.host}:${port}`, transport: 'http' });
+    });
 
-    app.listen(3333);
-}
\ No newline at end of file
+    // Stop listening, drain, then close every session; closing a transport
+    // ends its SSE stream and records the session's end
+    const shutdown = createShutdown({
+        gracePeriodMs: config.shutdown.gracePeriodMs,
+        inFlight,
+        stopAccepting: () => {
+            accepting = false;
+            listener.close();
+        },
+        closeSessions: async () => {
+            await Promise.all([...Object.values(transports.streamable), ...Object.values(transports.sse)]
+                .map((transport) => transport.close()));
+            listener.closeAllConnections();
+        },
+        flush: flushWriters
+    });
+    onShutdownSignals(shutdown);
+}
@@ -0,0 +1,170 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, readFile, readdir, rename, rm, unlink, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { AtRestEncryption, EncryptionError } from "./encryption.js";
+import { withFileLock } from "./file-lock.js";
+
+// =============================================================================
+// Agent memory persisted in the memory/agents/ layout (see its README)
+// =============================================================================
+//
+//   memory/agents/<agentId>/state.json, knowledge.md, tasks.json,
+//                           calibration.json, <custom key>.json
+//   memory/agents/shared/common_knowledge.md, global_config.json, ...
+
+export const SHARED = "shared";
+
+// Keys with a fixed file in the layout; any other key is stored as <key>.json
+const LAYOUT_FILES = {
+    state: "state.json",
+    knowledge: "knowledge.md",
+    tasks: "tasks.json",
+    calibration: "calibration.json",
+    common_knowledge: "common_knowledge.md",
+    global_config: "global_config.json"
+};
+
+const AGENT_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const KEY = /^[a-z0-9_-]{1,64}$/;
+
+export class MemoryError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "MemoryError";
+        this.code = code;
+    }
+}
+
+const fileOf = (key) => LAYOUT_FILES[key] || `${key}.json`;
+const keyOf = (file) => Object.keys(LAYOUT_FILES).find((key) => LAYOUT_FILES[key] === file) || file.replace(/\.json$/, "");
+export const isTextKey = (key) => fileOf(key).endsWith(".md");
+
+export function validateAgentId(agentId) {
+    if (!AGENT_ID.test(agentId || "")) {
+        throw new MemoryError("INVALID_AGENT_ID", `Invalid agent id: ${agentId}`);
+    }
+}
+
+export function validateKey(key) {
+    if (!KEY.test(key || "")) {
+        throw new MemoryError("INVALID_KEY", `Invalid memory key: ${key}`);
+    }
+}
+
+// Write through a temporary file in the same directory and rename it into
+// place, so readers never see a half-written file
+export async function writeFileAtomic(path, data) {
+    const temporary = `${path}.${randomUUID()}.tmp`;
+    try {
+        await writeFile(temporary, data);
+        await rename(temporary, path);
+    } catch (error) {
+        await rm(temporary, { force: true });
+        throw error;
+    }
+}
+
+export class AgentMemoryStore {
+    // Files are encrypted with `encryption` when it has an active key.
+    // `onChange(agentId, key)` runs after every store and delete.
+    constructor({ root, encryption = new AtRestEncryption(), onChange = () => {} }) {
+        this.root = root;
+        this.encryption = encryption;
+        this.onChange = onChange;
+    }
+
+    directoryOf(agentId) {
+        validateAgentId(agentId);
+        return join(this.root, "agents", agentId);
+    }
+
+    pathOf(agentId, key) {
+        validateKey(key);
+        return join(this.directoryOf(agentId), fileOf(key));
+    }
+
+    // Markdown keys hold text; every other key holds any JSON value. Text
+    // keys can be appended to, e.g. to add a discovery to knowledge.md.
+    async store(agentId, key, value, { append = false } = {}) {
+        const path = this.pathOf(agentId, key);
+        if (value === undefined) {
+            throw new MemoryError("INVALID_VALUE", `No value given for ${key}`);
+        }
+        if (isTextKey(key) && typeof value !== "string") {
+            throw new MemoryError("INVALID_VALUE", `${fileOf(key)} holds markdown text, not ${typeof value}`);
+        }
+        if (!isTextKey(key) && append) {
+            throw new MemoryError("INVALID_VALUE", `Only markdown keys can be appended to, not ${key}`);
+        }
+        await mkdir(this.directoryOf(agentId), { recursive: true });
+
+        // One write per file at a time, so an append can't lose a concurrent update
+        await withFileLock(path, async () => {
+            if (!isTextKey(key)) {
+                await writeFileAtomic(path, this.encryption.encode(`${JSON.stringify(value, null, 2)}\n`));
+                return;
+            }
+            // Only a missing file starts empty; an unreadable one must not be overwritten
+            const previous = append ? await this.get(agentId, key).catch((error) => {
+                if (error.code === "NOT_FOUND") {
+                    return "";
+                }
+                throw error;
+            }) : "";
+            await writeFileAtomic(path, this.encryption.encode(previous ? `${previous.replace(/\n*$/, "\n")}${value}` : value));
+        });
+        this.onChange(agentId, key);
+        return { agentId, key, file: fileOf(key) };
+    }
+
+    async get(agentId, key) {
+        let text;
+        try {
+            text = this.encryption.decode(await readFile(this.pathOf(agentId, key), "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                throw new MemoryError("NOT_FOUND", `No memory ${key} for ${agentId}`);
+            }
+            if (error instanceof EncryptionError) {
+                throw new MemoryError(error.code, `Memory ${key} of ${agentId}: ${error.message}`);
+            }
+            throw error;
+        }
+        return isTextKey(key) ? text : JSON.parse(text);
+    }
+
+    async list(agentId) {
+        let files;
+        try {
+            files = await readdir(this.directoryOf(agentId));
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return [];
+            }
+            throw error;
+        }
+        return files
+            .filter((file) => /\.(json|md)$/.test(file) && !file.endsWith(".tmp"))
+            .map(keyOf)
+            .filter((key) => KEY.test(key))
+            .sort();
+    }
+
+    async listAgents() {
+        const entries = await readdir(join(this.root, "agents"), { withFileTypes: true }).catch(() => []);
+        return entries.filter((entry) => entry.isDirectory() && AGENT_ID.test(entry.name)).map((entry) => entry.name).sort();
+    }
+
+    async delete(agentId, key) {
+        const path = this.pathOf(agentId, key);
+        try {
+            await withFileLock(path, () => unlink(path));
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                throw new MemoryError("NOT_FOUND", `No memory ${key} for ${agentId}`);
+            }
+            throw error;
+        }
+        this.onChange(agentId, key);
+    }
+}
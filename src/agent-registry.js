@@ -0,0 +1,200 @@
+import { mkdir, readdir, rename, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { MemoryError, SHARED, validateAgentId } from "./agent-memory.js";
+import { logger } from "./logger.js";
+
+// =============================================================================
+// Agent registry (REQ-AGENT-001): lifecycle state kept in each agent's
+// memory/agents/<agentId>/state.json
+// =============================================================================
+
+export const AGENT_STATUSES = ["idle", "active", "busy", "paused", "error", "terminated"];
+
+// What happens to the directory of a terminated agent once its retention
+// period is over
+export const RETENTION_MODES = ["archive", "delete", "keep"];
+
+// Directory names under memory/agents/ that can never be an agent
+const RESERVED_IDS = [SHARED];
+
+export class AgentError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "AgentError";
+        this.code = code;
+    }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class AgentRegistry {
+    // `store` is the AgentMemoryStore that owns memory/agents/. Terminated
+    // agents are archived to <root>/archive/agents/, deleted or kept after
+    // `retentionDays`; the check runs every `sweepIntervalMs`.
+    constructor({ store, retention = "archive", retentionDays = 7, sweepIntervalMs = 60 * 60 * 1000 }) {
+        if (!RETENTION_MODES.includes(retention)) {
+            throw new Error(`Unknown agent retention mode "${retention}" (expected ${RETENTION_MODES.join(", ")})`);
+        }
+        this.store = store;
+        this.retention = retention;
+        this.retentionMs = retentionDays * DAY_MS;
+        // Mutations run one at a time so concurrent registrations can't pick the same agent_NNN
+        this.queue = Promise.resolve();
+
+        this.timer = setInterval(() => {
+            this.applyRetention().catch((error) => logger.error("agent_retention_failed", { error }));
+        }, sweepIntervalMs);
+        this.timer.unref();
+    }
+
+    serialized(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async read(agentId) {
+        try {
+            return await this.store.get(agentId, "state");
+        } catch (error) {
+            if (error instanceof MemoryError && error.code === "NOT_FOUND") {
+                return undefined;
+            }
+            throw error;
+        }
+    }
+
+    async get(agentId) {
+        validateAgentId(agentId);
+        const state = await this.read(agentId);
+        if (!state?.status) {
+            throw new AgentError("AGENT_NOT_FOUND", `No registered agent ${agentId}`);
+        }
+        return state;
+    }
+
+    // Every registered agent, terminated ones only when asked for
+    async list({ status, includeTerminated = false } = {}) {
+        const agents = [];
+        for (const agentId of await this.store.listAgents()) {
+            if (RESERVED_IDS.includes(agentId)) {
+                continue;
+            }
+            const state = await this.read(agentId).catch(() => undefined);
+            if (!state?.status || (status && state.status !== status)) {
+                continue;
+            }
+            if (state.status === "terminated" && !includeTerminated && status !== "terminated") {
+                continue;
+            }
+            agents.push(state);
+        }
+        return agents;
+    }
+
+    // Next free agent_NNN id, numbered after the highest one in use or
+    // archived, so ids of terminated agents aren't handed out again
+    async nextAgentId() {
+        const archived = await readdir(join(this.store.root, "archive", "agents")).catch(() => []);
+        const numbers = [...await this.store.listAgents(), ...archived]
+            .map((agentId) => /^agent_(\d+)(?:$|-)/.exec(agentId))
+            .filter(Boolean)
+            .map((match) => Number(match[1]));
+        return `agent_${String(Math.max(0, ...numbers) + 1).padStart(3, "0")}`;
+    }
+
+    register({ agentId, name, type = "generic", capabilities = [], registeredBy }) {
+        return this.serialized(async () => {
+            const id = agentId ?? await this.nextAgentId();
+            validateAgentId(id);
+            if (RESERVED_IDS.includes(id)) {
+                throw new AgentError("RESERVED_AGENT_ID", `${id} is reserved and can't be an agent id`);
+            }
+            if ((await this.store.list(id)).length > 0) {
+                throw new AgentError("AGENT_EXISTS", `Agent ${id} already exists`);
+            }
+
+            const now = new Date().toISOString();
+            const state = {
+                agentId: id,
+                name: name || id,
+                type,
+                capabilities,
+                status: "idle",
+                statusNote: null,
+                registeredBy,
+                createdAt: now,
+                updatedAt: now,
+                terminatedAt: null
+            };
+            await this.store.store(id, "state", state);
+            return state;
+        });
+    }
+
+    updateStatus(agentId, { status, note }) {
+        return this.serialized(async () => {
+            if (status === "terminated") {
+                throw new AgentError("INVALID_STATUS", "Use agent_terminate to terminate an agent");
+            }
+            const state = await this.get(agentId);
+            if (state.status === "terminated") {
+                throw new AgentError("AGENT_TERMINATED", `Agent ${agentId} is terminated`);
+            }
+            const updated = { ...state, status, statusNote: note ?? null, updatedAt: new Date().toISOString() };
+            await this.store.store(agentId, "state", updated);
+            return updated;
+        });
+    }
+
+    // Mark an agent terminated; its directory stays until applyRetention()
+    terminate(agentId, { reason, terminatedBy }) {
+        return this.serialized(async () => {
+            const state = await this.get(agentId);
+            if (state.status === "terminated") {
+                throw new AgentError("AGENT_TERMINATED", `Agent ${agentId} is already terminated`);
+            }
+            const now = new Date().toISOString();
+            const updated = {
+                ...state,
+                status: "terminated",
+                statusNote: reason ?? null,
+                terminatedBy,
+                updatedAt: now,
+                terminatedAt: now
+            };
+            await this.store.store(agentId, "state", updated);
+            return updated;
+        });
+    }
+
+    // Archive or delete terminated agents whose retention period is over
+    // (memory/agents README: "remove directories for terminated agents")
+    applyRetention() {
+        if (this.retention === "keep") {
+            return Promise.resolve([]);
+        }
+        return this.serialized(async () => {
+            const expired = (await this.list({ status: "terminated" }))
+                .filter((state) => Date.now() - Date.parse(state.terminatedAt) >= this.retentionMs);
+
+            for (const { agentId, terminatedAt } of expired) {
+                const directory = this.store.directoryOf(agentId);
+                if (this.retention === "delete") {
+                    await rm(directory, { recursive: true, force: true });
+                } else {
+                    const archive = join(this.store.root, "archive", "agents");
+                    await mkdir(archive, { recursive: true });
+                    await rename(directory, join(archive, `${agentId}-${terminatedAt.replace(/[:.]/g, "-")}`));
+                }
+            }
+            return expired.map((state) => state.agentId);
+        });
+    }
+
+    // Stop the retention sweep; resolves once queued changes are written
+    close() {
+        clearInterval(this.timer);
+        return this.queue;
+    }
+}
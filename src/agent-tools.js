@@ -0,0 +1,130 @@
+import { z } from "zod";
+import { MemoryError } from "./agent-memory.js";
+import { AGENT_STATUSES, AgentError } from "./agent-registry.js";
+import { toolError, toolResult } from "./tool-results.js";
+
+// =============================================================================
+// agent_* tools over the agent registry
+// =============================================================================
+
+const agentIdSchema = z.string().regex(/^[A-Za-z0-9_-]{1,64}$/);
+
+const agentSchema = z.object({
+    agentId: z.string(),
+    name: z.string(),
+    type: z.string(),
+    capabilities: z.array(z.string()),
+    status: z.enum(AGENT_STATUSES),
+    statusNote: z.string().nullable(),
+    registeredBy: z.string().optional(),
+    terminatedBy: z.string().optional(),
+    createdAt: z.string(),
+    updatedAt: z.string(),
+    terminatedAt: z.string().nullable()
+}).passthrough();
+
+export function registerAgentTools(server, { identity, registry }) {
+    // Registry and store failures become isError results carrying their code
+    const handled = (handler) => async (input, extra) => {
+        try {
+            return await handler(input, extra);
+        } catch (error) {
+            if (error instanceof AgentError || error instanceof MemoryError) {
+                return toolError(error.code, error.message);
+            }
+            throw error;
+        }
+    };
+
+    // An agent identity only ever acts on itself
+    const targetOf = (agentId) => agentId ?? identity.agentId;
+    const deniedFor = (agentId) => (identity.agentId && agentId !== identity.agentId
+        ? toolError("ACCESS_DENIED", `Agent ${identity.agentId} can't change agent ${agentId}`)
+        : undefined);
+
+    server.registerTool("agent_register",
+        {
+            title: "Register Agent",
+            description: "Register (spawn) a new agent and create its memory/agents/<agentId>/state.json. " +
+                "Without agentId the next free agent_NNN id is assigned.",
+            inputSchema: {
+                agentId: agentIdSchema.optional(),
+                name: z.string().max(200).optional(),
+                type: z.string().max(100).default("generic"),
+                capabilities: z.array(z.string().max(100)).max(100).default([])
+            },
+            outputSchema: { agent: agentSchema }
+        },
+        handled(async ({ agentId, name, type, capabilities }) => {
+            if (identity.agentId) {
+                return toolError("ACCESS_DENIED", "Agents can't register other agents");
+            }
+            const agent = await registry.register({ agentId, name, type, capabilities, registeredBy: identity.subject });
+            return toolResult({ agent }, `Registered ${agent.agentId} (${agent.type})`);
+        })
+    );
+
+    server.registerTool("agent_list",
+        {
+            title: "List Agents",
+            description: "List registered agents, optionally by status. Terminated agents are only listed on request.",
+            inputSchema: {
+                status: z.enum(AGENT_STATUSES).optional(),
+                includeTerminated: z.boolean().default(false)
+            },
+            outputSchema: { agents: z.array(agentSchema) }
+        },
+        handled(async ({ status, includeTerminated }) => {
+            const agents = await registry.list({ status, includeTerminated });
+            return toolResult({ agents }, agents.length
+                ? agents.map((agent) => `${agent.agentId} ${agent.status} (${agent.type})`).join("\n")
+                : "No agents");
+        })
+    );
+
+    server.registerTool("agent_update_status",
+        {
+            title: "Update Agent Status",
+            description: "Set the status of an agent and record it in its state.json. agentId defaults to the calling agent.",
+            inputSchema: {
+                agentId: agentIdSchema.optional(),
+                status: z.enum(AGENT_STATUSES.filter((status) => status !== "terminated")),
+                note: z.string().max(1000).optional()
+            },
+            outputSchema: { agent: agentSchema }
+        },
+        handled(async ({ agentId, status, note }) => {
+            const target = targetOf(agentId);
+            if (!target) {
+                return toolError("MISSING_AGENT_ID", "agentId is required for identities that are not an agent");
+            }
+            const denied = deniedFor(target);
+            if (denied) {
+                return denied;
+            }
+            const agent = await registry.updateStatus(target, { status, note });
+            return toolResult({ agent }, `${agent.agentId} is now ${agent.status}`);
+        })
+    );
+
+    server.registerTool("agent_terminate",
+        {
+            title: "Terminate Agent",
+            description: "Terminate an agent. Its directory is archived or deleted once the retention period is over.",
+            inputSchema: {
+                agentId: agentIdSchema,
+                reason: z.string().max(1000).optional()
+            },
+            outputSchema: { agent: agentSchema, cleanedUp: z.array(z.string()) }
+        },
+        handled(async ({ agentId, reason }) => {
+            const denied = deniedFor(agentId);
+            if (denied) {
+                return denied;
+            }
+            const agent = await registry.terminate(agentId, { reason, terminatedBy: identity.subject });
+            const cleanedUp = await registry.applyRetention();
+            return toolResult({ agent, cleanedUp }, `Terminated ${agent.agentId}`);
+        })
+    );
+}
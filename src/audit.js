@@ -0,0 +1,214 @@
+import { createHash } from "node:crypto";
+import { appendFile, mkdir } from "node:fs/promises";
+import { existsSync, readFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { writeFileAtomic } from "./agent-memory.js";
+import { logger } from "./logger.js";
+import { onToolCall } from "./tool-calls.js";
+
+// =============================================================================
+// Tamper-evident audit log (REQ-LOG-001/002, REQ-AUDIT-001/004)
+// =============================================================================
+//
+// Every entry is one JSON line carrying a sequence number, the hash of the
+// previous entry and its own hash over both. Editing a line breaks its hash,
+// deleting one breaks the sequence and the chain of the line after it.
+// Deleting lines from the end leaves an intact but shorter chain, so the
+// sequence number and hash of the last entry (the head) are also kept in a
+// separate file, by default `<log>.head`.
+
+export const GENESIS_HASH = "0".repeat(64);
+
+// JSON with sorted object keys, so digests don't depend on property order
+export function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+        return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+
+export const hashEntry = (entry) => sha256(canonicalJson(entry));
+
+export const defaultHeadPath = (path) => `${path}.head`;
+
+function readHeadFile(headPath) {
+    if (!existsSync(headPath)) {
+        return undefined;
+    }
+    try {
+        const { seq, hash } = JSON.parse(readFileSync(headPath, "utf8"));
+        return { seq, hash };
+    } catch {
+        return undefined;
+    }
+}
+
+// The last complete entry of a log. A line cut short by a crash mid-write
+// is skipped; `torn` reports whether the file ends in one.
+function readLastEntry(path) {
+    if (!existsSync(path)) {
+        return { last: { seq: 0, hash: GENESIS_HASH }, torn: false };
+    }
+    const text = readFileSync(path, "utf8");
+    const lines = text.split("\n").filter(Boolean);
+    for (let index = lines.length - 1; index >= 0; index--) {
+        try {
+            const { seq, hash } = JSON.parse(lines[index]);
+            return { last: { seq, hash }, torn: text.length > 0 && !text.endsWith("\n") };
+        } catch {
+            // Partially written; look further back
+        }
+    }
+    return { last: { seq: 0, hash: GENESIS_HASH }, torn: text.length > 0 && !text.endsWith("\n") };
+}
+
+// Where a restarted server continues the chain. When the log ends before
+// the recorded head, entries were removed from its end: the chain carries
+// on from the recorded head, so the gap stays visible to the verifier.
+function readChainHead(path, headPath) {
+    const { last, torn } = readLastEntry(path);
+    const recorded = readHeadFile(headPath);
+
+    if (recorded && recorded.seq > last.seq) {
+        logger.critical("audit_log_truncated", { path, lastSeq: last.seq, headSeq: recorded.seq });
+        return { head: recorded, torn };
+    }
+    if (recorded && recorded.seq === last.seq && recorded.hash !== last.hash) {
+        logger.critical("audit_log_head_mismatch", { path, seq: last.seq });
+        return { head: recorded, torn };
+    }
+    if (!recorded && last.seq > 0) {
+        logger.warning("audit_head_missing", { path, headPath, message: "Truncation before this point can't be detected" });
+    }
+    return { head: last, torn };
+}
+
+export function createAuditLog({ path, headPath = defaultHeadPath(path) }) {
+    const chain = readChainHead(path, headPath);
+    let head = chain.head;
+    let pending = mkdir(dirname(path), { recursive: true });
+    if (chain.torn) {
+        // End the torn line so the next entry starts on a line of its own
+        logger.error("audit_log_torn_line", { path });
+        pending = pending.then(() => appendFile(path, "\n"));
+    }
+
+    // Entries are chained synchronously and appended strictly in order
+    const record = (fields) => {
+        const entry = {
+            seq: head.seq + 1,
+            timestamp: new Date().toISOString(),
+            ...fields,
+            prevHash: head.hash
+        };
+        entry.hash = hashEntry(entry);
+        head = { seq: entry.seq, hash: entry.hash };
+
+        const recorded = { seq: entry.seq, hash: entry.hash };
+        pending = pending
+            .then(() => appendFile(path, `${JSON.stringify(entry)}\n`))
+            .then(() => writeFileAtomic(headPath, `${JSON.stringify(recorded)}\n`))
+            .catch((error) => logger.error("audit_write_failed", { path, error }));
+        return entry;
+    };
+
+    // Resolves once everything recorded so far is on disk
+    const flush = () => pending;
+
+    return { path, headPath, record, flush };
+}
+
+// Record every tool call and resource read of one session's McpServer.
+// Must run before anything is registered.
+export function auditServer(server, identity, audit) {
+    const entryOf = (method, target, extra, args) => ({
+        sessionId: extra?.sessionId,
+        subject: identity?.subject,
+        roles: identity?.roles,
+        method,
+        target,
+        argsDigest: sha256(canonicalJson(args))
+    });
+    const outcomeOf = ({ result, error, durationMs }) => (error
+        ? { outcome: "error", error: error.message, latencyMs: Math.round(durationMs) }
+        : { outcome: result?.isError ? "tool_error" : "ok", latencyMs: Math.round(durationMs) });
+
+    onToolCall(server, ({ name, input, extra, done }) => {
+        const entry = entryOf("tools/call", name, extra, input);
+        done.then((settled) => audit.record({ ...entry, ...outcomeOf(settled) }));
+    });
+
+    // The last parameter of a read callback is the SDK's request `extra`;
+    // template reads also get the matched variables
+    const registerResource = server.registerResource.bind(server);
+    server.registerResource = (name, uriOrTemplate, config, callback) => registerResource(name, uriOrTemplate, config, async (...args) => {
+        const entry = entryOf("resources/read", name, args[args.length - 1], { uri: String(args[0]), variables: args.length > 2 ? args[1] : undefined });
+        const started = performance.now();
+        try {
+            const result = await callback(...args);
+            audit.record({ ...entry, ...outcomeOf({ result, durationMs: performance.now() - started }) });
+            return result;
+        } catch (error) {
+            audit.record({ ...entry, ...outcomeOf({ error, durationMs: performance.now() - started }) });
+            throw error;
+        }
+    });
+}
+
+// Check a log file end to end, and its end against the head file. Returns
+// the problems found, each with the line number it was detected at; an
+// empty list means the chain is intact. `headChecked` is false when there
+// is no head file, so removal of the last entries could not be checked.
+export function verifyAuditLog(path, { headPath = defaultHeadPath(path) } = {}) {
+    const problems = [];
+    const lines = readFileSync(path, "utf8").split("\n");
+    if (lines[lines.length - 1] === "") {
+        lines.pop();
+    }
+
+    let previous = { seq: 0, hash: GENESIS_HASH };
+    const hashes = new Map(); // seq -> hash
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            problems.push({ line: lineNumber, problem: "not valid JSON" });
+            return;
+        }
+
+        const { hash, ...body } = entry;
+        if (hashEntry(body) !== hash) {
+            problems.push({ line: lineNumber, problem: "entry was modified (hash mismatch)" });
+        }
+        if (entry.seq !== previous.seq + 1) {
+            problems.push({ line: lineNumber, problem: `sequence jumps from ${previous.seq} to ${entry.seq} (entries deleted or reordered)` });
+        }
+        if (entry.prevHash !== previous.hash) {
+            problems.push({ line: lineNumber, problem: "chain broken (prevHash does not match the previous entry)" });
+        }
+        previous = { seq: entry.seq, hash };
+        hashes.set(entry.seq, hash);
+    });
+
+    // The head file is written after each entry, so it may lag the log by
+    // the entry being written when the server stopped, but never lead it
+    const recorded = readHeadFile(headPath);
+    if (recorded && recorded.seq > previous.seq) {
+        problems.push({
+            line: lines.length + 1,
+            problem: `log ends at #${previous.seq} but the recorded head is #${recorded.seq} (entries deleted from the end)`
+        });
+    } else if (recorded && hashes.has(recorded.seq) && hashes.get(recorded.seq) !== recorded.hash) {
+        problems.push({ line: lines.length, problem: `entry #${recorded.seq} does not match the recorded head` });
+    }
+
+    return { entries: lines.length, head: previous, headChecked: Boolean(recorded), problems };
+}
@@ -0,0 +1,149 @@
+import { createHash } from "node:crypto";
+import { AuthError } from "./auth.js";
+
+// =============================================================================
+// Client for the bundled Elixir auth service (elixir_auth_service)
+// =============================================================================
+
+// POST a JSON body to the auth service. Network failures, timeouts and 5xx
+// answers all mean the service is unavailable rather than the token is bad.
+async function postJson(baseUrl, path, body, { token, timeoutMs }) {
+    let response;
+    try {
+        response = await fetch(new URL(path, baseUrl), {
+            method: "POST",
+            headers: {
+                "content-type": "application/json",
+                accept: "application/json",
+                ...(token ? { authorization: `Bearer ${token}` } : {})
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    } catch (error) {
+        throw new AuthError(`Auth service unavailable: ${error.message}`, "unavailable");
+    }
+
+    if (response.status >= 500) {
+        throw new AuthError(`Auth service unavailable: HTTP ${response.status}`, "unavailable");
+    }
+
+    const payload = await response.json().catch(() => ({}));
+    return { status: response.status, payload };
+}
+
+// Map the service's `{ success, data: { user, claims } }` answer onto the
+// identity shape produced by the local JWT validator
+export function identityFromValidation({ user = {}, claims = {} }) {
+    const roles = Array.isArray(user.roles) && user.roles.length > 0
+        ? user.roles
+        : Array.isArray(claims.roles) ? claims.roles : claims.role ? [claims.role] : [];
+
+    return {
+        subject: String(user.id ?? claims.sub ?? ""),
+        username: user.email || claims.email,
+        roles,
+        scopes: Array.isArray(user.permissions) ? user.permissions : [],
+        agentId: claims.agent_id,
+        expiresAt: claims.exp,
+        claims
+    };
+}
+
+export function createAuthServiceClient({ baseUrl, timeoutMs = 2000, cacheTtlMs = 30000, maxCacheEntries = 10000 }) {
+    if (!baseUrl) {
+        throw new Error("Auth service URL is not configured");
+    }
+
+    // Short-lived cache of successful validations keyed by token digest, so a
+    // busy session doesn't cost one round trip per request (REQ-PERF-003).
+    // Expired entries are swept every `cacheTtlMs`; past `maxCacheEntries`
+    // the oldest entries go first, so a flood of distinct tokens can't grow it.
+    const cache = new Map();
+    const cacheKey = (token) => createHash("sha256").update(token).digest("hex");
+
+    const pruneExpired = (now = Date.now()) => {
+        for (const [key, entry] of cache) {
+            if (entry.until <= now) {
+                cache.delete(key);
+            }
+        }
+    };
+    const pruneTimer = setInterval(pruneExpired, cacheTtlMs);
+    pruneTimer.unref();
+
+    const remember = (key, entry) => {
+        if (cache.size >= maxCacheEntries) {
+            pruneExpired();
+        }
+        // Map iteration follows insertion order, so the first keys are the oldest
+        for (const oldest of cache.keys()) {
+            if (cache.size < maxCacheEntries) {
+                break;
+            }
+            cache.delete(oldest);
+        }
+        cache.set(key, entry);
+    };
+
+    const validate = async (token) => {
+        const key = cacheKey(token);
+        const cached = cache.get(key);
+        if (cached && cached.until > Date.now()) {
+            return cached.identity;
+        }
+        cache.delete(key);
+
+        const { status, payload } = await postJson(baseUrl, "/api/v1/auth/validate", { token }, { timeoutMs });
+        if (status !== 200 || !payload.success || !payload.data?.valid) {
+            throw new AuthError(payload.error || "Invalid or expired token");
+        }
+
+        const identity = identityFromValidation(payload.data);
+        if (!identity.subject) {
+            throw new AuthError("Token has no subject");
+        }
+
+        const expiresAtMs = identity.expiresAt ? identity.expiresAt * 1000 : Infinity;
+        remember(key, { identity, until: Math.min(Date.now() + cacheTtlMs, expiresAtMs) });
+        return identity;
+    };
+
+    const refresh = async (refreshToken) => {
+        const { status, payload } = await postJson(baseUrl, "/api/v1/auth/refresh", { refresh_token: refreshToken }, { timeoutMs });
+        if (status !== 200 || !payload.success) {
+            throw new AuthError(payload.error || "Invalid refresh token");
+        }
+        return payload.data;
+    };
+
+    const logout = async (token) => {
+        cache.delete(cacheKey(token));
+        const { status, payload } = await postJson(baseUrl, "/api/v1/auth/logout", {}, { token, timeoutMs });
+        if (status !== 200 || !payload.success) {
+            throw new AuthError(payload.error || "Logout failed", "logout_failed");
+        }
+        return payload;
+    };
+
+    // Reachability of the service's public /health endpoint, for readiness checks
+    const health = async () => {
+        let response;
+        try {
+            response = await fetch(new URL("/health", baseUrl), { signal: AbortSignal.timeout(timeoutMs) });
+        } catch (error) {
+            throw new AuthError(`Auth service unavailable: ${error.message}`, "unavailable");
+        }
+        if (!response.ok) {
+            throw new AuthError(`Auth service unhealthy: HTTP ${response.status}`, "unavailable");
+        }
+        return response.json().catch(() => ({}));
+    };
+
+    const close = () => {
+        clearInterval(pruneTimer);
+        cache.clear();
+    };
+
+    return { baseUrl, validate, refresh, logout, health, close };
+}
@@ -0,0 +1,215 @@
+import { createPublicKey, verify } from "node:crypto";
+import { readFileSync } from "node:fs";
+
+// =============================================================================
+// Bearer-token authentication for the MCP HTTP routes (REQ-AUTH-001/002)
+// =============================================================================
+
+export class AuthError extends Error {
+    constructor(message, code = "invalid_token") {
+        super(message);
+        this.name = "AuthError";
+        this.code = code;
+    }
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+// Load the RS256 verification keys from a PEM public key and/or a JWKS file
+export function loadVerificationKeys({ publicKeyPath, jwksPath } = {}) {
+    const keys = [];
+
+    if (publicKeyPath) {
+        keys.push({ kid: undefined, key: createPublicKey(readFileSync(publicKeyPath, "utf8")) });
+    }
+
+    if (jwksPath) {
+        const jwks = JSON.parse(readFileSync(jwksPath, "utf8"));
+        for (const jwk of jwks.keys || []) {
+            if (jwk.kty !== "RSA" || (jwk.use && jwk.use !== "sig")) {
+                continue;
+            }
+            keys.push({ kid: jwk.kid, key: createPublicKey({ key: jwk, format: "jwk" }) });
+        }
+    }
+
+    return keys;
+}
+
+// Build the identity every other subsystem sees from verified token claims
+export function identityFromClaims(claims) {
+    const roles = Array.isArray(claims.roles) ? claims.roles : claims.role ? [claims.role] : [];
+    const scopes = typeof claims.scope === "string" ? claims.scope.split(" ").filter(Boolean) : [];
+
+    return {
+        subject: String(claims.sub ?? claims.userId ?? ""),
+        username: claims.username || claims.email || claims.preferred_username,
+        roles,
+        scopes,
+        // Set for agent identities; an agent may only use its own memory
+        agentId: claims.agent_id,
+        expiresAt: claims.exp,
+        claims
+    };
+}
+
+// Verify a compact JWT signed with RS256 and return its claims. Any other
+// algorithm is refused outright so `none`/HS256 confusion attacks can't work.
+export function verifyJwt(token, keys, { issuer, audience, clockToleranceSec = 30 } = {}) {
+    const parts = token.split(".");
+    if (parts.length !== 3) {
+        throw new AuthError("Malformed token");
+    }
+
+    let header, claims;
+    try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+    } catch {
+        throw new AuthError("Malformed token");
+    }
+
+    if (header.alg !== "RS256") {
+        throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const candidates = header.kid ? keys.filter((entry) => !entry.kid || entry.kid === header.kid) : keys;
+    const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], "base64url");
+    const valid = candidates.some(({ key }) => verify("RSA-SHA256", signingInput, key, signature));
+    if (!valid) {
+        throw new AuthError("Invalid token signature");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== "number") {
+        throw new AuthError("Token has no expiry");
+    }
+    if (claims.exp + clockToleranceSec < now) {
+        throw new AuthError("Token expired");
+    }
+    if (typeof claims.nbf === "number" && claims.nbf - clockToleranceSec > now) {
+        throw new AuthError("Token not yet valid");
+    }
+    if (issuer && claims.iss !== issuer) {
+        throw new AuthError("Unexpected token issuer");
+    }
+    if (audience) {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(audience)) {
+            throw new AuthError("Unexpected token audience");
+        }
+    }
+    if (!claims.sub && claims.userId === undefined) {
+        throw new AuthError("Token has no subject");
+    }
+
+    return claims;
+}
+
+// Validator backed by local RS256 keys. Validators take the raw bearer token
+// and resolve to an identity, or throw an AuthError.
+export function createJwtValidator({ publicKeyPath, jwksPath, issuer, audience }) {
+    const keys = loadVerificationKeys({ publicKeyPath, jwksPath });
+    if (keys.length === 0) {
+        throw new Error("No RS256 verification keys found; set a public key or JWKS file");
+    }
+
+    return async (token) => identityFromClaims(verifyJwt(token, keys, { issuer, audience }));
+}
+
+const sendAuthError = (res, status, error, description) => {
+    const challenge = description
+        ? `Bearer realm="knoxBoss", error="invalid_token", error_description="${description}"`
+        : `Bearer realm="knoxBoss"`;
+    res.set("WWW-Authenticate", challenge);
+    res.status(status).json(description ? { error, reason: description } : { error });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Express middleware that rejects requests without a valid bearer token and
+// exposes the identity as `req.auth`, which the SDK transports forward to
+// request handlers as `extra.authInfo`.
+//
+// With a `failures` tracker, rejected tokens are answered progressively
+// slower and the client is locked out (423) after repeated failures. Clients
+// are keyed by IP: the subject of a rejected token is unverified, and keying
+// on it would let anyone lock a victim's account. The lockout only applies
+// to tokens that fail validation, so one client behind a shared IP (a NAT
+// or a reverse proxy) can't lock out everyone else with a valid token; a
+// valid token doesn't clear the record either, or it would reset the count
+// for whoever shares the address.
+export function createAuthMiddleware({ validator, failures }) {
+    return async (req, res, next) => {
+        const header = req.headers.authorization || "";
+        const match = /^Bearer\s+(\S+)$/i.exec(header);
+        if (!match) {
+            sendAuthError(res, 401, "Authentication required");
+            return;
+        }
+
+        let identity;
+        try {
+            identity = await validator(match[1]);
+        } catch (error) {
+            if (error instanceof AuthError && error.code === "unavailable") {
+                res.status(503).json({ error: "Authentication service unavailable" });
+                return;
+            }
+            if (error instanceof AuthError) {
+                const lockedForMs = failures ? failures.lockedFor(req.ip) : 0;
+                if (lockedForMs > 0) {
+                    const retryAfter = Math.ceil(lockedForMs / 1000);
+                    res.set("Retry-After", String(retryAfter));
+                    res.status(423).json({ error: "Locked: too many failed authentication attempts", retryAfter });
+                    return;
+                }
+
+                const delayMs = failures ? failures.fail(req.ip) : 0;
+                if (delayMs > 0) {
+                    await sleep(delayMs);
+                }
+                sendAuthError(res, 401, "Invalid token", error.message);
+                return;
+            }
+            next(error);
+            return;
+        }
+        req.auth = {
+            token: match[1],
+            clientId: identity.subject,
+            scopes: identity.scopes,
+            expiresAt: identity.expiresAt,
+            extra: { identity }
+        };
+        next();
+    };
+}
+
+// Identity of the trusted local operator: stdio clients and HTTP clients
+// when auth is explicitly disabled for local development
+export const LOCAL_IDENTITY = Object.freeze({
+    subject: "local",
+    username: "local",
+    roles: ["admin"],
+    scopes: [],
+    claims: {}
+});
+
+// Pass-through used when auth is explicitly disabled
+export function createAnonymousMiddleware() {
+    return (req, res, next) => {
+        req.auth = { token: "", clientId: LOCAL_IDENTITY.subject, scopes: [], extra: { identity: LOCAL_IDENTITY } };
+        next();
+    };
+}
+
+export const identityOf = (req) => req.auth?.extra?.identity;
+
+// Sessions are bound to the identity that opened them; requests for a session
+// from anyone else are refused.
+export function ownsSession(owners, sessionId, req) {
+    const owner = owners.get(sessionId);
+    return owner !== undefined && owner === identityOf(req)?.subject;
+}
@@ -0,0 +1,74 @@
+import { getCompleter, isCompletable } from "@modelcontextprotocol/sdk/server/completable.js";
+import { getObjectShape } from "@modelcontextprotocol/sdk/server/zod-compat.js";
+import { ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { registryOf } from "./registry.js";
+
+// =============================================================================
+// Argument completion for tools, prompts and resource templates
+// =============================================================================
+//
+// Prompt arguments and resource template variables are completed by the SDK
+// (`completable()` fields and template `complete` callbacks), as MCP defines.
+//
+// Tool arguments are a NON-STANDARD knoxBoss extension: MCP's
+// `completion/complete` only references prompts and resources, and the SDK
+// rejects anything else, so requests with `ref: { type: "ref/tool", name }`
+// are taken off the transport before the SDK sees them, validated against
+// ToolCompletionParamsSchema and answered from the tool's `completable()`
+// input fields. Only clients written for knoxBoss send them.
+
+// Most suggestions any provider returns
+export const MAX_COMPLETIONS = 20;
+
+// `params` of a `ref/tool` completion request: the standard ones, with a tool reference
+export const ToolCompletionParamsSchema = z.object({
+    ref: z.object({ type: z.literal("ref/tool"), name: z.string() }),
+    argument: z.object({ name: z.string(), value: z.string() }),
+    context: z.object({ arguments: z.record(z.string()).optional() }).optional()
+});
+
+// Distinct `values` starting with `prefix` (case-insensitive), at most `limit`
+export function completeFrom(values, prefix = "", limit = MAX_COMPLETIONS) {
+    const lower = String(prefix).toLowerCase();
+    return [...new Set(values)].filter((value) => String(value).toLowerCase().startsWith(lower)).slice(0, limit);
+}
+
+// Serve `ref/tool` completion requests on one session's McpServer, whose
+// registrations must be tracked. Tools the session can't see (removed by
+// RBAC) are not found.
+export function completeToolArguments(server) {
+    const complete = async (params) => {
+        const parsed = ToolCompletionParamsSchema.safeParse(params);
+        if (!parsed.success) {
+            return { error: { code: ErrorCode.InvalidParams, message: `Invalid ref/tool completion request: ${parsed.error.issues[0].message}` } };
+        }
+        const { ref, argument, context } = parsed.data;
+        const tool = registryOf(server).tools.get(ref.name);
+        if (!tool?.enabled) {
+            return { error: { code: ErrorCode.InvalidParams, message: `Tool ${ref.name} not found` } };
+        }
+        const field = getObjectShape(tool.inputSchema)?.[argument.name];
+        const completer = isCompletable(field) ? getCompleter(field) : undefined;
+        const values = completer ? await completer(argument.value, context) : [];
+        return { result: { completion: { values: values.slice(0, 100), total: values.length, hasMore: values.length > 100 } } };
+    };
+
+    const connect = server.connect.bind(server);
+    server.connect = async (transport) => {
+        await connect(transport);
+
+        const onmessage = transport.onmessage;
+        transport.onmessage = (message, extra) => {
+            if (message.method !== "completion/complete" || message.params?.ref?.type !== "ref/tool" || !("id" in message)) {
+                onmessage?.(message, extra);
+                return;
+            }
+
+            complete(message.params)
+                .catch((error) => ({ error: { code: ErrorCode.InternalError, message: error.message } }))
+                .then((answer) => transport.send({ jsonrpc: "2.0", id: message.id, ...answer }))
+                .catch((error) => transport.onerror?.(error));
+        };
+    };
+}
@@ -0,0 +1,304 @@
+import { existsSync, readFileSync } from "node:fs";
+import { isIP } from "node:net";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+import { RETENTION_MODES } from "./agent-registry.js";
+import { LEVELS } from "./logger.js";
+
+// The directory server.js is in: default storage paths and .env resolve from
+// here, so the server behaves the same wherever it is started from
+export const SERVER_DIR = fileURLToPath(new URL("..", import.meta.url));
+
+// =============================================================================
+// Server configuration (REQ-DEPLOY-001..003)
+// =============================================================================
+//
+// Built from, in increasing precedence: the defaults below, a JSON config
+// file (--config or MCP_CONFIG), environment variables (with .env loaded
+// first; variables already set win over it) and command-line flags. The
+// result is validated as a whole, and configurations that would expose the
+// server insecurely are refused.
+
+export class ConfigError extends Error {
+    constructor(issues) {
+        super(`Invalid configuration:\n${issues.map((issue) => `  - ${issue}`).join("\n")}`);
+        this.name = "ConfigError";
+        this.code = "INVALID_CONFIG";
+        this.issues = issues;
+    }
+}
+
+// Setting path -> environment variable and command-line flag
+const SOURCES = {
+    "transport": { env: "MCP_TRANSPORT", flag: "--transport" },
+    "http.host": { env: "MCP_HOST", flag: "--host" },
+    "http.port": { env: "MCP_PORT", flag: "--port" },
+    "http.tls.cert": { env: "MCP_TLS_CERT", flag: "--tls-cert" },
+    "http.tls.key": { env: "MCP_TLS_KEY", flag: "--tls-key" },
+    "http.tls.ca": { env: "MCP_TLS_CA", flag: "--tls-ca" },
+    "http.tls.requestClientCert": { env: "MCP_TLS_CLIENT_CERT", flag: "--tls-client-cert" },
+    "auth.mode": { env: "MCP_AUTH", flag: "--auth" },
+    "auth.publicKey": { env: "MCP_AUTH_PUBLIC_KEY" },
+    "auth.jwks": { env: "MCP_AUTH_JWKS" },
+    "auth.issuer": { env: "MCP_AUTH_ISSUER" },
+    "auth.audience": { env: "MCP_AUTH_AUDIENCE" },
+    "auth.serviceUrl": { env: "MCP_AUTH_SERVICE_URL" },
+    "auth.lockoutThreshold": { env: "MCP_AUTH_LOCKOUT_THRESHOLD" },
+    "auth.lockoutMinutes": { env: "MCP_AUTH_LOCKOUT_MINUTES" },
+    "limits.ipPerMinute": { env: "MCP_RATE_LIMIT_IP" },
+    "limits.identityPerMinute": { env: "MCP_RATE_LIMIT_IDENTITY" },
+    "limits.toolPerMinute": { env: "MCP_RATE_LIMIT_TOOL" },
+    "limits.tools": { env: "MCP_RATE_LIMIT_TOOLS" },
+    "storage.memoryDir": { env: "MCP_MEMORY_DIR", flag: "--memory-dir" },
+    "storage.aclFile": { env: "MCP_ACL_FILE" },
+    "storage.auditLog": { env: "MCP_AUDIT_LOG" },
+    "storage.auditHead": { env: "MCP_AUDIT_HEAD" },
+    "storage.promptsDir": { env: "MCP_PROMPTS_DIR" },
+    "storage.rbacConfig": { env: "MCP_RBAC_CONFIG" },
+    "encryption.keyFile": { env: "MCP_ENCRYPTION_KEY_FILE" },
+    "encryption.key": { env: "MCP_ENCRYPTION_KEY" },
+    "encryption.previousKeys": { env: "MCP_ENCRYPTION_PREVIOUS_KEYS" },
+    "agents.retention": { env: "MCP_AGENT_RETENTION" },
+    "agents.retentionDays": { env: "MCP_AGENT_RETENTION_DAYS" },
+    "metrics.token": { env: "MCP_METRICS_TOKEN" },
+    "metrics.systemInfoIntervalMs": { env: "MCP_SYSTEM_INFO_INTERVAL_MS" },
+    "sessions.idleTimeoutMs": { env: "MCP_SESSION_IDLE_TIMEOUT_MS" },
+    "sessions.maxAgeMs": { env: "MCP_SESSION_MAX_AGE_MS" },
+    "sessions.maxSessions": { env: "MCP_MAX_SESSIONS" },
+    "sessions.maxPerIdentity": { env: "MCP_MAX_SESSIONS_PER_IDENTITY" },
+    "shutdown.gracePeriodMs": { env: "MCP_SHUTDOWN_GRACE_MS" },
+    "logging.level": { env: "MCP_LOG_LEVEL", flag: "--log-level" },
+    "logging.file": { env: "MCP_LOG_FILE" }
+};
+
+const count = (fallback) => z.coerce.number().int().positive().default(fallback);
+const flag = z.union([z.boolean(), z.enum(["true", "false", "1", "0"]).transform((value) => value === "true" || value === "1")]);
+
+// "calculate=10,add=100" from the environment, or an object in the config file
+const toolLimits = z.preprocess(
+    (value) => (typeof value === "string"
+        ? Object.fromEntries(value.split(",").filter(Boolean).map((entry) => entry.split("=").map((part) => part.trim())))
+        : value),
+    z.record(z.coerce.number().int().positive())
+);
+
+export const configSchema = z.object({
+    server: z.object({
+        name: z.string().min(1).default("knoxBoss"),
+        version: z.string().min(1).default("1.0.0")
+    }).strict().default({}),
+    transport: z.enum(["http", "stdio"]).default("http"),
+    http: z.object({
+        host: z.string().min(1).default("127.0.0.1"),
+        port: z.coerce.number().int().min(0).max(65535).default(3333),
+        tls: z.object({
+            cert: z.string().optional(),
+            key: z.string().optional(),
+            ca: z.string().optional(),
+            requestClientCert: flag.default(false),
+            minVersion: z.enum(["TLSv1.2", "TLSv1.3"]).default("TLSv1.3")
+        }).strict().default({})
+    }).strict().default({}),
+    auth: z.object({
+        mode: z.enum(["jwt", "service", "none"]).default("jwt"),
+        publicKey: z.string().optional(),
+        jwks: z.string().optional(),
+        issuer: z.string().optional(),
+        audience: z.string().optional(),
+        serviceUrl: z.string().url().optional(),
+        lockoutThreshold: count(5),
+        lockoutMinutes: count(15)
+    }).strict().default({}),
+    limits: z.object({
+        ipPerMinute: count(300),
+        identityPerMinute: count(120),
+        toolPerMinute: count(60),
+        tools: toolLimits.default({})
+    }).strict().default({}),
+    storage: z.object({
+        memoryDir: z.string().min(1).default(join(SERVER_DIR, "memory")),
+        aclFile: z.string().optional(),
+        auditLog: z.string().min(1).default(join(SERVER_DIR, "logs", "audit.jsonl")),
+        auditHead: z.string().min(1).optional(),
+        promptsDir: z.string().min(1).default(join(SERVER_DIR, "prompts")),
+        rbacConfig: z.string().optional()
+    }).strict().default({}),
+    encryption: z.object({
+        keyFile: z.string().optional(),
+        key: z.string().optional(),
+        previousKeys: z.string().optional()
+    }).strict().default({}),
+    agents: z.object({
+        retention: z.enum(RETENTION_MODES).default("archive"),
+        retentionDays: z.coerce.number().min(0).default(7)
+    }).strict().default({}),
+    metrics: z.object({
+        token: z.string().optional(),
+        systemInfoIntervalMs: count(5000)
+    }).strict().default({}),
+    sessions: z.object({
+        idleTimeoutMs: count(30 * 60 * 1000),
+        maxAgeMs: count(24 * 60 * 60 * 1000),
+        maxSessions: count(1000),
+        maxPerIdentity: count(10)
+    }).strict().default({}),
+    shutdown: z.object({
+        gracePeriodMs: z.coerce.number().int().min(0).default(10000)
+    }).strict().default({}),
+    logging: z.object({
+        level: z.enum(LEVELS).default("info"),
+        file: z.string().min(1).optional()
+    }).strict().default({})
+}).strict();
+
+export const isLoopback = (host) => host === "localhost"
+    || (isIP(host) === 4 && host.startsWith("127."))
+    || host === "::1";
+
+// Problems with settings that are each valid on their own
+function insecureCombinations(config) {
+    const problems = [];
+    const { http, auth, encryption } = config;
+
+    if (config.transport === "http") {
+        if (auth.mode === "none" && !isLoopback(http.host)) {
+            problems.push(`auth.mode "none" is only allowed on a loopback host, not ${http.host}; configure auth or bind to 127.0.0.1`);
+        }
+        if (auth.mode === "jwt" && !auth.publicKey && !auth.jwks) {
+            problems.push('auth.mode "jwt" needs auth.publicKey or auth.jwks (MCP_AUTH_PUBLIC_KEY or MCP_AUTH_JWKS)');
+        }
+        if (auth.mode === "service" && !auth.serviceUrl) {
+            problems.push('auth.mode "service" needs auth.serviceUrl (MCP_AUTH_SERVICE_URL)');
+        }
+        if (auth.mode === "service" && auth.serviceUrl?.startsWith("http:") && !isLoopback(new URL(auth.serviceUrl).hostname.replace(/^\[|\]$/g, ""))) {
+            problems.push("auth.serviceUrl must use https unless the auth service is on a loopback host; tokens would travel in clear text");
+        }
+        if (Boolean(http.tls.cert) !== Boolean(http.tls.key)) {
+            problems.push("http.tls.cert and http.tls.key must be set together");
+        }
+        if (http.tls.requestClientCert && !http.tls.ca) {
+            problems.push("http.tls.requestClientCert needs http.tls.ca to verify client certificates");
+        }
+    }
+    if (encryption.key && encryption.keyFile) {
+        problems.push("Set either encryption.key or encryption.keyFile, not both");
+    }
+    return problems;
+}
+
+// Warnings about configurations that are allowed but worth knowing about
+export function configWarnings(config) {
+    const warnings = [];
+    if (config.transport === "http" && !config.http.tls.cert && !isLoopback(config.http.host)) {
+        warnings.push(`Serving plain HTTP on ${config.http.host}; terminate TLS in front of the server or set http.tls`);
+    }
+    if (config.transport === "http" && !config.metrics.token && !isLoopback(config.http.host)) {
+        warnings.push("GET /metrics is reachable without a token; set metrics.token (MCP_METRICS_TOKEN)");
+    }
+    if (!config.encryption.key && !config.encryption.keyFile) {
+        warnings.push(`No encryption key configured, ${config.storage.memoryDir}/ is stored in plain text`);
+    }
+    return warnings;
+}
+
+function setPath(target, path, value) {
+    const keys = path.split(".");
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        node[key] = node[key] && typeof node[key] === "object" ? { ...node[key] } : {};
+        node = node[key];
+    }
+    node[keys.at(-1)] = value;
+}
+
+// Flags given as `--name value` or `--name=value`; `--stdio` is short for
+// `--transport stdio`
+function parseFlags(argv) {
+    const flags = new Map();
+    const issues = [];
+    for (let index = 0; index < argv.length; index++) {
+        const [name, inline] = argv[index].split(/=(.*)/s);
+        if (name === "--stdio") {
+            flags.set("--transport", "stdio");
+        } else if (name === "--config" || Object.values(SOURCES).some((source) => source.flag === name)) {
+            const value = inline ?? argv[++index];
+            if (value === undefined) {
+                issues.push(`${name} needs a value`);
+            }
+            flags.set(name, value);
+        } else {
+            issues.push(`Unknown command-line flag ${name}`);
+        }
+    }
+    return { flags, issues };
+}
+
+function readConfigFile(path) {
+    try {
+        return JSON.parse(readFileSync(path, "utf8"));
+    } catch (error) {
+        throw new ConfigError([`Config file ${path}: ${error.message}`]);
+    }
+}
+
+// The server's own .env, wherever it is started from
+const DEFAULT_ENV_FILE = join(SERVER_DIR, ".env");
+
+// Add the KEY=value lines of a .env file to `env`; variables already set win.
+// Parsed here rather than with process.loadEnvFile, which only writes to
+// process.env, so every `env` is loaded the same way.
+function loadEnvFile(path, env) {
+    for (const line of readFileSync(path, "utf8").split(/\r?\n/)) {
+        const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+        if (!match || env[match[1]] !== undefined) {
+            continue;
+        }
+        const value = match[2].trim();
+        const quoted = /^(["'`])(.*)\1$/.exec(value);
+        env[match[1]] = quoted ? quoted[2] : value.replace(/\s+#.*$/, "");
+    }
+}
+
+// Load `envFile` into `env`, merge every source and validate. Throws a
+// ConfigError that lists every problem at once.
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, envFile = DEFAULT_ENV_FILE } = {}) {
+    if (envFile && existsSync(envFile)) {
+        loadEnvFile(envFile, env);
+    }
+
+    const { flags, issues } = parseFlags(argv);
+    if (issues.length > 0) {
+        throw new ConfigError(issues);
+    }
+
+    const configFile = flags.get("--config") ?? env.MCP_CONFIG;
+    const merged = configFile ? readConfigFile(configFile) : {};
+    for (const [path, source] of Object.entries(SOURCES)) {
+        if (env[source.env] !== undefined && env[source.env] !== "") {
+            setPath(merged, path, env[source.env]);
+        }
+    }
+    for (const [path, source] of Object.entries(SOURCES)) {
+        if (source.flag && flags.has(source.flag)) {
+            setPath(merged, path, flags.get(source.flag));
+        }
+    }
+
+    const parsed = configSchema.safeParse(merged);
+    if (!parsed.success) {
+        throw new ConfigError(parsed.error.issues.map((issue) => {
+            const path = issue.path.join(".");
+            const source = Object.entries(SOURCES).find(([setting]) => path === setting || path.startsWith(`${setting}.`))?.[1];
+            return `${path || "config"}${source ? ` (${source.env})` : ""}: ${issue.message}`;
+        }));
+    }
+    const problems = insecureCombinations(parsed.data);
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    const config = parsed.data;
+    config.storage.aclFile ??= join(config.storage.memoryDir, "acl.json");
+    return config;
+}
@@ -0,0 +1,296 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "node:crypto";
+import { existsSync, readFileSync, unwatchFile, watchFile } from "node:fs";
+import { mkdir, readFile, readdir, rename, rm, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { withFileLock } from "./file-lock.js";
+import { logger } from "./logger.js";
+
+// =============================================================================
+// AES-256-GCM encryption at rest for the memory/ tree (REQ-ENC-001/003/004)
+// =============================================================================
+//
+// An encrypted file is a sequence of envelope lines, one per write or append:
+//
+//   enc:v1:<keyId>:<iv>:<tag>:<ciphertext>      (base64url fields)
+//
+// The plaintext of a file is its envelopes decrypted and concatenated, so a
+// transcript can be appended to without re-encrypting what is already there.
+// Files without envelopes are plaintext and are read as they are.
+
+const PREFIX = "enc:v1:";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Written by the server under the memory root after each re-encryption pass;
+// rotate-memory-key.js --retire reads it
+export const STATUS_FILE = "encryption-status.json";
+
+export class EncryptionError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "EncryptionError";
+        this.code = code;
+    }
+}
+
+// Key ids are a fingerprint of the key, so the same key always has the same id
+export const keyIdOf = (key) => createHash("sha256").update(key).digest("hex").slice(0, 16);
+
+export const generateKey = () => randomBytes(KEY_BYTES);
+
+export function parseKey(encoded) {
+    const key = Buffer.from(String(encoded).trim(), "base64");
+    if (key.length !== KEY_BYTES) {
+        throw new EncryptionError("INVALID_KEY", `Encryption keys are ${KEY_BYTES} bytes, base64 encoded (got ${key.length} bytes)`);
+    }
+    return key;
+}
+
+export const isEncrypted = (content) => String(content).startsWith(PREFIX);
+
+// Key file: `{ "active": "<keyId>", "keys": [{ "id", "key", "createdAt" }] }`.
+// Retired keys stay in the list so older files remain readable.
+export function readKeyFile(path) {
+    const file = JSON.parse(readFileSync(path, "utf8"));
+    const keys = new Map((file.keys || []).map((entry) => [entry.id, parseKey(entry.key)]));
+    for (const [id, key] of keys) {
+        if (keyIdOf(key) !== id) {
+            throw new EncryptionError("INVALID_KEY", `Key ${id} in ${path} does not match its id`);
+        }
+    }
+    if (!keys.has(file.active)) {
+        throw new EncryptionError("INVALID_KEY", `Active key ${file.active} is not in ${path}`);
+    }
+    return { active: file.active, keys };
+}
+
+export class AtRestEncryption {
+    // Without keys nothing is encrypted, but files written under a key can't be read
+    constructor({ active, keys = new Map() } = {}) {
+        this.active = active;
+        this.keys = keys;
+        this.reloadListeners = [];
+    }
+
+    get enabled() {
+        return this.keys.has(this.active);
+    }
+
+    // One envelope line for `text`, under the active key
+    seal(text) {
+        const iv = randomBytes(IV_BYTES);
+        const cipher = createCipheriv("aes-256-gcm", this.keys.get(this.active), iv);
+        const ciphertext = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+        return `${PREFIX}${this.active}:${iv.toString("base64url")}:${cipher.getAuthTag().toString("base64url")}:${ciphertext.toString("base64url")}\n`;
+    }
+
+    openEnvelope(line) {
+        const [keyId, iv, tag, ciphertext] = line.slice(PREFIX.length).split(":");
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new EncryptionError("UNKNOWN_KEY", `Data is encrypted under key ${keyId}, which is not configured`);
+        }
+        try {
+            const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+            decipher.setAuthTag(Buffer.from(tag, "base64url"));
+            return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]).toString("utf8");
+        } catch {
+            throw new EncryptionError("DECRYPTION_FAILED", "Encrypted data was modified or is corrupt");
+        }
+    }
+
+    // File content for `text`: an envelope when a key is configured, else the text itself
+    encode(text) {
+        return this.enabled ? this.seal(text) : text;
+    }
+
+    decode(content) {
+        if (!isEncrypted(content)) {
+            return String(content);
+        }
+        return String(content).split("\n").filter(Boolean).map((line) => this.openEnvelope(line)).join("");
+    }
+
+    // Ids of the keys the envelopes of `content` were written under
+    keyIdsOf(content) {
+        if (!isEncrypted(content)) {
+            return [];
+        }
+        return [...new Set(String(content).split("\n").filter(Boolean).map((line) => line.slice(PREFIX.length).split(":")[0]))];
+    }
+
+    // Reload the key file when it changes, e.g. after a rotation, so a
+    // running server reads data under the new key and writes with it
+    watch(path, { intervalMs = 5000 } = {}) {
+        watchFile(path, { interval: intervalMs, persistent: false }, () => {
+            let reloaded;
+            try {
+                reloaded = readKeyFile(path);
+            } catch (error) {
+                logger.error("encryption_key_reload_failed", { path, error, message: "Keeping the current keys" });
+                return;
+            }
+            const previous = this.active;
+            this.active = reloaded.active;
+            this.keys = reloaded.keys;
+            if (this.active !== previous) {
+                this.reloadListeners.forEach((listener) => listener(this.active));
+            }
+        });
+        return () => unwatchFile(path);
+    }
+
+    // `listener(activeKeyId)` runs whenever a reload changes the active key
+    onReload(listener) {
+        this.reloadListeners.push(listener);
+    }
+}
+
+// Keys from MCP_ENCRYPTION_KEY_FILE, or from MCP_ENCRYPTION_KEY (base64) with
+// MCP_ENCRYPTION_PREVIOUS_KEYS (comma separated) still accepted for reading
+export function loadEncryption({ keyFile, key, previousKeys } = {}) {
+    if (keyFile) {
+        const encryption = new AtRestEncryption(readKeyFile(keyFile));
+        encryption.watch(keyFile);
+        return encryption;
+    }
+    if (key) {
+        const active = parseKey(key);
+        const keys = new Map([active, ...String(previousKeys || "").split(",").filter(Boolean).map(parseKey)]
+            .map((entry) => [keyIdOf(entry), entry]));
+        return new AtRestEncryption({ active: keyIdOf(active), keys });
+    }
+    return new AtRestEncryption();
+}
+
+// Generate a key, make it the active one in the key file (creating the file
+// if needed) and keep the previous keys for reading
+export async function addKeyToFile(path) {
+    const file = existsSync(path) ? JSON.parse(await readFile(path, "utf8")) : { keys: [] };
+    const key = generateKey();
+    const id = keyIdOf(key);
+    file.keys = [...(file.keys || []), { id, key: key.toString("base64"), createdAt: new Date().toISOString() }];
+    file.active = id;
+    await writeKeyFile(path, file);
+    return id;
+}
+
+// Drop every key but the active one from the key file
+export async function retireKeys(path) {
+    const file = JSON.parse(await readFile(path, "utf8"));
+    const retired = file.keys.filter((entry) => entry.id !== file.active).map((entry) => entry.id);
+    file.keys = file.keys.filter((entry) => entry.id === file.active);
+    await writeKeyFile(path, file);
+    return retired;
+}
+
+async function writeKeyFile(path, file) {
+    const temporary = `${path}.tmp`;
+    await writeFile(temporary, `${JSON.stringify(file, null, 2)}\n`, { mode: 0o600 });
+    await rename(temporary, path);
+}
+
+async function* filesUnder(directory) {
+    for (const entry of await readdir(directory, { withFileTypes: true }).catch(() => [])) {
+        const path = join(directory, entry.name);
+        if (entry.isDirectory()) {
+            yield* filesUnder(path);
+        } else if (entry.isFile() && !entry.name.endsWith(".tmp") && entry.name !== "README.md") {
+            yield path;
+        }
+    }
+}
+
+// Re-encrypt every file under `root` that isn't entirely under the active
+// key, plaintext included. Each file is read and replaced under its file
+// lock, so none of this process's writes can land in between and be lost.
+// Only run it in the process that writes the tree, i.e. the server.
+export async function reencryptTree(root, encryption, { skip = [], onFile = () => {} } = {}) {
+    if (!encryption.enabled) {
+        throw new EncryptionError("NO_ACTIVE_KEY", "No active encryption key is configured");
+    }
+    const report = { scanned: 0, reencrypted: 0, failed: [] };
+
+    const skipped = new Set(skip.map((path) => resolve(path)));
+    for await (const path of filesUnder(root)) {
+        if (skipped.has(resolve(path))) {
+            continue;
+        }
+        report.scanned++;
+        try {
+            const reencrypted = await withFileLock(path, async () => {
+                let content;
+                try {
+                    content = await readFile(path, "utf8");
+                } catch (error) {
+                    if (error.code === "ENOENT") {
+                        return false;
+                    }
+                    throw error;
+                }
+                const keyIds = encryption.keyIdsOf(content);
+                if (keyIds.length === 1 && keyIds[0] === encryption.active) {
+                    return false;
+                }
+
+                const temporary = `${path}.reencrypt.tmp`;
+                try {
+                    await writeFile(temporary, encryption.seal(encryption.decode(content)));
+                    await rename(temporary, path);
+                } catch (error) {
+                    await rm(temporary, { force: true });
+                    throw error;
+                }
+                return true;
+            });
+            if (reencrypted) {
+                report.reencrypted++;
+                onFile(path);
+            }
+        } catch (error) {
+            report.failed.push({ path, error: error.message });
+        }
+    }
+    return report;
+}
+
+// The last completed re-encryption pass under `root`, or undefined
+export function readEncryptionStatus(root) {
+    const path = join(root, STATUS_FILE);
+    return existsSync(path) ? JSON.parse(readFileSync(path, "utf8")) : undefined;
+}
+
+// Re-encrypt `root` now and again whenever a rotation changes the active
+// key, one pass at a time. Each pass is recorded in STATUS_FILE, which is
+// how the server confirms to --retire that nothing is left under an older
+// key. `flush()` resolves once the queued passes are done.
+export function keepTreeEncrypted(root, encryption, { skip = [] } = {}) {
+    let pending = Promise.resolve();
+
+    const pass = () => {
+        pending = pending.then(async () => {
+            const active = encryption.active;
+            const report = await reencryptTree(root, encryption, { skip: [...skip, join(root, STATUS_FILE)] });
+            const status = {
+                active,
+                completedAt: new Date().toISOString(),
+                scanned: report.scanned,
+                reencrypted: report.reencrypted,
+                failed: report.failed.length
+            };
+            await mkdir(root, { recursive: true });
+            await writeFile(join(root, STATUS_FILE), `${JSON.stringify(status, null, 2)}\n`);
+            for (const { path, error } of report.failed) {
+                logger.error("memory_reencryption_failed", { path, error });
+            }
+            logger.info("memory_reencrypted", { root, ...status });
+        }).catch((error) => logger.error("memory_reencryption_failed", { root, error }));
+        return pending;
+    };
+
+    if (encryption.enabled) {
+        pass();
+    }
+    encryption.onReload(pass);
+    return { flush: () => pending };
+}
@@ -0,0 +1,91 @@
+import { randomUUID } from "node:crypto";
+
+// In-memory event store so Streamable HTTP clients can resume a dropped
+// stream with `Last-Event-ID`. One store is created per session (the standalone
+// GET stream id is the same in every session). The SDK opens a stream per
+// POST response, so besides each stream's own budget the store caps its
+// events in total and forgets events older than `maxAgeMs`.
+export class InMemoryEventStore {
+    constructor({ maxEventsPerStream = 1000, maxEvents = 5000, maxAgeMs = 10 * 60 * 1000 } = {}) {
+        this.maxEventsPerStream = maxEventsPerStream;
+        this.maxEvents = maxEvents;
+        this.maxAgeMs = maxAgeMs;
+        this.streams = new Map();   // streamId -> [{ eventId, message, storedAt }]
+        this.eventIndex = new Map(); // eventId -> streamId
+        this.order = [];             // every stored event, oldest first: { eventId, streamId, storedAt }
+    }
+
+    get size() {
+        return this.eventIndex.size;
+    }
+
+    async storeEvent(streamId, message) {
+        const storedAt = Date.now();
+        const eventId = `${streamId}::${storedAt}::${randomUUID()}`;
+        let events = this.streams.get(streamId);
+        if (!events) {
+            events = [];
+            this.streams.set(streamId, events);
+        }
+        events.push({ eventId, message, storedAt });
+        this.eventIndex.set(eventId, streamId);
+        this.order.push({ eventId, streamId, storedAt });
+
+        // Drop the oldest events once the stream is over its budget
+        while (events.length > this.maxEventsPerStream) {
+            this.eventIndex.delete(events.shift().eventId);
+        }
+        this.prune(storedAt);
+        return eventId;
+    }
+
+    // Drop events past `maxAgeMs` and, oldest first, whatever exceeds
+    // `maxEvents`; streams left empty are forgotten
+    prune(now = Date.now()) {
+        while (this.order.length > 0) {
+            const oldest = this.order[0];
+            if (!this.eventIndex.has(oldest.eventId)) {
+                // Already dropped by its stream's own budget
+                this.order.shift();
+                continue;
+            }
+            if (this.eventIndex.size <= this.maxEvents && now - oldest.storedAt < this.maxAgeMs) {
+                break;
+            }
+
+            this.order.shift();
+            this.eventIndex.delete(oldest.eventId);
+            const events = this.streams.get(oldest.streamId);
+            const index = events.findIndex((event) => event.eventId === oldest.eventId);
+            events.splice(index, 1);
+            if (events.length === 0) {
+                this.streams.delete(oldest.streamId);
+            }
+        }
+
+        // Entries dropped by a stream's own budget behind a live head entry
+        // are only skipped once they reach the front; compact them away
+        if (this.order.length > 2 * this.maxEvents) {
+            this.order = this.order.filter(({ eventId }) => this.eventIndex.has(eventId));
+        }
+    }
+
+    async getStreamIdForEventId(eventId) {
+        return this.eventIndex.get(eventId);
+    }
+
+    async replayEventsAfter(lastEventId, { send }) {
+        this.prune();
+        const streamId = this.eventIndex.get(lastEventId);
+        if (!streamId) {
+            return "";
+        }
+
+        const events = this.streams.get(streamId) || [];
+        const start = events.findIndex((event) => event.eventId === lastEventId);
+        for (const { eventId, message } of events.slice(start + 1)) {
+            await send(eventId, message);
+        }
+        return streamId;
+    }
+}
@@ -0,0 +1,268 @@
+// =============================================================================
+// Arithmetic expression parser and evaluator for the `evaluate` tool
+// =============================================================================
+//
+// Hand-written recursive descent parser, no `eval`:
+//
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := ("-" | "+") unary | power
+//   power      := primary ("^" unary)?          right-associative
+//   primary    := number | name | name "(" arguments ")" | "(" expression ")"
+//
+// Unary minus binds looser than `^`, so `-2 ^ 2` is -4.
+
+// `code` is a stable identifier clients can branch on; `position` is the
+// zero-based offset into the source the error was detected at
+export class ExpressionError extends Error {
+    constructor(code, message, position) {
+        super(position === undefined ? message : `${message} at position ${position + 1}`);
+        this.name = "ExpressionError";
+        this.code = code;
+        this.position = position;
+    }
+}
+
+export const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    sign: Math.sign,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    trunc: Math.trunc,
+    exp: Math.exp,
+    ln: Math.log,
+    log: Math.log10,
+    log2: Math.log2,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    pow: Math.pow,
+    hypot: Math.hypot,
+    min: Math.min,
+    max: Math.max
+};
+
+// Number of arguments each function accepts ([min, max])
+const ARITY = {
+    atan2: [2, 2],
+    pow: [2, 2],
+    hypot: [1, Infinity],
+    min: [1, Infinity],
+    max: [1, Infinity]
+};
+
+export const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+const MAX_DEPTH = 100;
+
+export function tokenize(source) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+        const char = source[index];
+
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(index));
+        if (number) {
+            tokens.push({ type: "number", value: Number(number[0]), text: number[0], position: index });
+            index += number[0].length;
+            continue;
+        }
+
+        const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+        if (name) {
+            tokens.push({ type: "name", value: name[0], text: name[0], position: index });
+            index += name[0].length;
+            continue;
+        }
+
+        if ("+-*/%^(),".includes(char)) {
+            tokens.push({ type: char, text: char, position: index });
+            index++;
+            continue;
+        }
+
+        throw new ExpressionError("SYNTAX_ERROR", `Unexpected character '${char}'`, index);
+    }
+
+    tokens.push({ type: "end", position: source.length });
+    return tokens;
+}
+
+export function parse(source) {
+    const tokens = tokenize(source);
+    let current = 0;
+    let depth = 0;
+
+    const peek = () => tokens[current];
+    const next = () => tokens[current++];
+    const describe = (token) => (token.type === "end" ? "end of expression" : `'${token.text}'`);
+    const expect = (type) => {
+        const token = next();
+        if (token.type !== type) {
+            throw new ExpressionError("SYNTAX_ERROR", `Expected '${type}' but found ${describe(token)}`, token.position);
+        }
+        return token;
+    };
+
+    const nested = (parseFn) => {
+        if (++depth > MAX_DEPTH) {
+            throw new ExpressionError("EXPRESSION_TOO_DEEP", "Expression is nested too deeply", peek().position);
+        }
+        const node = parseFn();
+        depth--;
+        return node;
+    };
+
+    const binary = (parseOperand, operators) => () => {
+        let left = parseOperand();
+        while (operators.includes(peek().type)) {
+            const operator = next();
+            left = { type: "binary", operator: operator.type, left, right: parseOperand(), position: operator.position };
+        }
+        return left;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+
+        if (token.type === "number") {
+            return { type: "number", value: token.value, position: token.position };
+        }
+
+        if (token.type === "name") {
+            if (peek().type !== "(") {
+                return { type: "variable", name: token.value, position: token.position };
+            }
+            next();
+            const args = [];
+            if (peek().type !== ")") {
+                args.push(nested(parseExpression));
+                while (peek().type === ",") {
+                    next();
+                    args.push(nested(parseExpression));
+                }
+            }
+            expect(")");
+            return { type: "call", name: token.value, args, position: token.position };
+        }
+
+        if (token.type === "(") {
+            const inner = nested(parseExpression);
+            expect(")");
+            return inner;
+        }
+
+        throw new ExpressionError("SYNTAX_ERROR", `Unexpected ${describe(token)}`, token.position);
+    };
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek().type !== "^") {
+            return base;
+        }
+        const operator = next();
+        return { type: "binary", operator: "^", left: base, right: nested(parseUnary), position: operator.position };
+    };
+
+    const parseUnary = () => {
+        if (peek().type === "-" || peek().type === "+") {
+            const operator = next();
+            return { type: "unary", operator: operator.type, operand: nested(parseUnary), position: operator.position };
+        }
+        return parsePower();
+    };
+
+    const parseTerm = binary(parseUnary, ["*", "/", "%"]);
+    const parseExpression = binary(parseTerm, ["+", "-"]);
+
+    const tree = parseExpression();
+    const trailing = peek();
+    if (trailing.type !== "end") {
+        throw new ExpressionError("SYNTAX_ERROR", `Unexpected ${describe(trailing)}`, trailing.position);
+    }
+    return tree;
+}
+
+export function evaluateTree(node, variables = {}) {
+    switch (node.type) {
+        case "number":
+            return node.value;
+
+        case "variable":
+            if (Object.hasOwn(variables, node.name)) {
+                return variables[node.name];
+            }
+            if (Object.hasOwn(CONSTANTS, node.name)) {
+                return CONSTANTS[node.name];
+            }
+            throw new ExpressionError("UNKNOWN_VARIABLE", `Unknown variable '${node.name}'`, node.position);
+
+        case "unary": {
+            const operand = evaluateTree(node.operand, variables);
+            return node.operator === "-" ? -operand : operand;
+        }
+
+        case "call": {
+            if (!Object.hasOwn(FUNCTIONS, node.name)) {
+                throw new ExpressionError("UNKNOWN_FUNCTION", `Unknown function '${node.name}'`, node.position);
+            }
+            const [min, max] = ARITY[node.name] || [1, 1];
+            if (node.args.length < min || node.args.length > max) {
+                const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+                throw new ExpressionError("WRONG_ARGUMENT_COUNT", `${node.name}() takes ${expected} argument(s), got ${node.args.length}`, node.position);
+            }
+            return FUNCTIONS[node.name](...node.args.map((arg) => evaluateTree(arg, variables)));
+        }
+
+        case "binary": {
+            const left = evaluateTree(node.left, variables);
+            const right = evaluateTree(node.right, variables);
+            switch (node.operator) {
+                case "+":
+                    return left + right;
+                case "-":
+                    return left - right;
+                case "*":
+                    return left * right;
+                case "/":
+                    if (right === 0) {
+                        throw new ExpressionError("DIVISION_BY_ZERO", "Division by zero", node.position);
+                    }
+                    return left / right;
+                case "%":
+                    if (right === 0) {
+                        throw new ExpressionError("DIVISION_BY_ZERO", "Division by zero", node.position);
+                    }
+                    return left % right;
+                case "^":
+                    return left ** right;
+            }
+        }
+    }
+    throw new ExpressionError("SYNTAX_ERROR", `Unsupported node '${node.type}'`, node.position);
+}
+
+// Parse and evaluate `source`, rejecting results that aren't finite numbers
+export function evaluate(source, variables = {}) {
+    const result = evaluateTree(parse(source), variables);
+    if (!Number.isFinite(result)) {
+        throw new ExpressionError("NON_FINITE_RESULT", `Result is not a finite number (${result})`);
+    }
+    return result;
+}
@@ -0,0 +1,25 @@
+import { resolve } from "node:path";
+
+// =============================================================================
+// Writes to one file, one at a time across the whole process
+// =============================================================================
+//
+// Every writer of a file under memory/ (agent memory, session recordings,
+// the namespace ACL and key rotation's re-encryption) goes through this, so
+// a read-modify-write of a file can't lose a write that lands in between.
+
+const locks = new Map(); // resolved path -> settled tail of its queue
+
+// Run `operation` once every earlier operation on `path` has settled
+export function withFileLock(path, operation) {
+    const key = resolve(path);
+    const result = (locks.get(key) || Promise.resolve()).then(operation);
+    const settled = result.then(() => {}, () => {});
+    locks.set(key, settled);
+    settled.then(() => {
+        if (locks.get(key) === settled) {
+            locks.delete(key);
+        }
+    });
+    return result;
+}
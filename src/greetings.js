@@ -0,0 +1,35 @@
+import { MAX_COMPLETIONS, completeFrom } from "./completions.js";
+
+// =============================================================================
+// Names greeted so far, for listing and completing greeting://personal/{name}
+// =============================================================================
+
+// Offered before an identity has greeted anyone
+export const DEFAULT_NAMES = ["Friend"];
+
+export class GreetingBook {
+    constructor({ maxNamesPerIdentity = 100 } = {}) {
+        this.maxNamesPerIdentity = maxNamesPerIdentity;
+        this.names = new Map(); // subject -> names, most recent last
+    }
+
+    record(subject, name) {
+        const names = (this.names.get(subject) || []).filter((known) => known !== name);
+        names.push(name);
+        if (names.length > this.maxNamesPerIdentity) {
+            names.shift();
+        }
+        this.names.set(subject, names);
+    }
+
+    // Names this identity has greeted, most recent first
+    namesOf(subject) {
+        const names = [...(this.names.get(subject) || [])].reverse();
+        return names.length > 0 ? names : DEFAULT_NAMES;
+    }
+
+    // Known names starting with `prefix` (case-insensitive), most recent first
+    complete(subject, prefix = "", limit = MAX_COMPLETIONS) {
+        return completeFrom(this.namesOf(subject), prefix, limit);
+    }
+}
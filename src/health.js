@@ -0,0 +1,67 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { performance } from "node:perf_hooks";
+
+// =============================================================================
+// Liveness and readiness checks for GET /health and GET /ready
+// =============================================================================
+//
+// A readiness check is an async function returning details about what it
+// checked; it fails by throwing. Every check runs concurrently and is given
+// up on after `timeoutMs`. Probes need no token, so details and errors must
+// not reveal paths, URLs or other internals.
+
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((_resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run `checks` (name -> check) and report each one's status and timing
+export async function runChecks(checks, { timeoutMs = 2000 } = {}) {
+    const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+        const started = performance.now();
+        try {
+            const details = await withTimeout(Promise.resolve().then(check), timeoutMs);
+            return [name, { ...details, status: "ok", durationMs: Math.round(performance.now() - started) }];
+        } catch (error) {
+            return [name, { status: "fail", durationMs: Math.round(performance.now() - started), error: error.message }];
+        }
+    }));
+
+    const ready = results.every(([, result]) => result.status === "ok");
+    return {
+        status: ready ? "ready" : "not_ready",
+        timestamp: new Date().toISOString(),
+        checks: Object.fromEntries(results)
+    };
+}
+
+// Run `check` at most once per `ttlMs` and otherwise repeat its last
+// outcome, so frequent probes don't multiply the work behind it
+export function cachedCheck(check, ttlMs = 5000) {
+    let last;
+    return () => {
+        if (!last || performance.now() - last.at >= ttlMs) {
+            last = { at: performance.now(), outcome: Promise.resolve().then(check) };
+        }
+        return last.outcome;
+    };
+}
+
+// Write and remove a probe file, proving `root` is writable. The `.tmp`
+// suffix keeps key rotation from picking it up.
+export async function checkWritable(root) {
+    try {
+        await mkdir(root, { recursive: true });
+        const probe = join(root, `.health-${randomUUID()}.tmp`);
+        await writeFile(probe, "ok");
+        await rm(probe, { force: true });
+    } catch (error) {
+        throw new Error(`Not writable (${error.code || "unknown error"})`);
+    }
+    return {};
+}
@@ -0,0 +1,66 @@
+// =============================================================================
+// Per-session calculation history
+// =============================================================================
+
+// Sessions without a transport session id (stdio) share this key
+export const STDIO_SESSION = "stdio";
+
+export const sessionKeyOf = (extra) => extra?.sessionId || STDIO_SESSION;
+
+export class CalculationHistory {
+    // `onChange(sessionId)` runs whenever a session's entries change
+    constructor({ maxEntriesPerSession = 1000, onChange = () => {} } = {}) {
+        this.maxEntriesPerSession = maxEntriesPerSession;
+        this.onChange = onChange;
+        this.sessions = new Map(); // sessionId -> { nextIndex, entries }
+    }
+
+    // Append a successful calculation; entries are numbered from 1 per session
+    record(sessionId, { tool, input, result }) {
+        let session = this.sessions.get(sessionId);
+        if (!session) {
+            session = { nextIndex: 1, entries: [] };
+            this.sessions.set(sessionId, session);
+        }
+
+        const entry = { index: session.nextIndex++, tool, input, result, timestamp: new Date().toISOString() };
+        session.entries.push(entry);
+        if (session.entries.length > this.maxEntriesPerSession) {
+            session.entries.shift();
+        }
+        this.onChange(sessionId);
+        return entry;
+    }
+
+    // One page of entries, oldest first
+    list(sessionId, { offset = 0, limit = 50 } = {}) {
+        const entries = this.sessions.get(sessionId)?.entries || [];
+        return { total: entries.length, offset, limit, entries: entries.slice(offset, offset + limit) };
+    }
+
+    // Entry by its index, or counting back from the latest when negative (-1 is the last result)
+    get(sessionId, index = -1) {
+        const entries = this.sessions.get(sessionId)?.entries || [];
+        return index < 0 ? entries[entries.length + index] : entries.find((entry) => entry.index === index);
+    }
+
+    latest(sessionId) {
+        return this.get(sessionId, -1);
+    }
+
+    // Forget the entries but keep numbering, so indexes are never reused within a session
+    clear(sessionId) {
+        const session = this.sessions.get(sessionId);
+        const cleared = session ? session.entries.length : 0;
+        if (session) {
+            session.entries = [];
+            this.onChange(sessionId);
+        }
+        return cleared;
+    }
+
+    // Drop everything about a closed session
+    drop(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+}
@@ -0,0 +1,166 @@
+import { randomUUID } from "node:crypto";
+import { appendFile, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+import { performance } from "node:perf_hooks";
+import { LoggingLevelSchema, SetLevelRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { onToolCall } from "./tool-calls.js";
+
+// =============================================================================
+// Structured logging (stderr or a file, never stdout) and the MCP `logging`
+// capability
+// =============================================================================
+//
+// Every record is one JSON line: `timestamp`, `level`, `event` and the
+// record's fields. Stdout is left alone because it carries JSON-RPC in stdio
+// mode. Records that name a session are also sent to that session as
+// `notifications/message`, at the level the client chose with
+// `logging/setLevel`.
+
+// MCP (syslog) levels, least severe first
+export const LEVELS = LoggingLevelSchema.options;
+
+const severity = (level) => LEVELS.indexOf(level);
+
+// Header carrying the correlation id of an HTTP request
+export const CORRELATION_HEADER = "x-request-id";
+
+export class Logger {
+    constructor({ level = "info", file } = {}) {
+        this.listeners = new Set();
+        this.configure({ level, file });
+    }
+
+    configure({ level = "info", file } = {}) {
+        this.level = level;
+        this.file = file;
+        this.pending = file ? mkdir(dirname(file), { recursive: true }).catch(() => {}) : Promise.resolve();
+    }
+
+    log(level, event, fields = {}) {
+        const record = { timestamp: new Date().toISOString(), level, event, ...fields };
+        if (fields.error instanceof Error) {
+            record.error = fields.error.message;
+        }
+
+        // Listeners see every record; they filter by their own level
+        for (const listener of this.listeners) {
+            listener(record);
+        }
+        if (severity(level) < severity(this.level)) {
+            return;
+        }
+
+        const line = `${JSON.stringify(record)}\n`;
+        if (this.file) {
+            this.pending = this.pending
+                .then(() => appendFile(this.file, line))
+                .catch((error) => process.stderr.write(`Log write to ${this.file} failed: ${error.message}\n${line}`));
+        } else {
+            process.stderr.write(line);
+        }
+    }
+
+    // Returns a function that stops listening
+    listen(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Resolves once every record written to the log file is on disk
+    flush() {
+        return this.pending;
+    }
+}
+
+for (const level of LEVELS) {
+    Logger.prototype[level] = function (event, fields) {
+        this.log(level, event, fields);
+    };
+}
+
+// The process-wide logger, configured from `logging` at startup
+export const logger = new Logger();
+
+// The correlation id of the HTTP request that carried a JSON-RPC message
+export const correlationIdOf = (extra) => extra?.requestInfo?.headers?.[CORRELATION_HEADER];
+
+// Express middleware giving every request a correlation id: the client's
+// X-Request-Id if it sent a usable one, otherwise a new UUID. The id is
+// echoed in the response and logged with the request once it completes.
+export function correlateRequests(log = logger) {
+    return (req, res, next) => {
+        const sent = req.headers[CORRELATION_HEADER];
+        const correlationId = typeof sent === "string" && /^[\w.:-]{1,128}$/.test(sent) ? sent : randomUUID();
+        // The Streamable HTTP transport rebuilds headers from rawHeaders, so
+        // both carry the id through to JSON-RPC handlers' requestInfo
+        req.headers[CORRELATION_HEADER] = correlationId;
+        const rawHeaders = [];
+        for (let index = 0; index < req.rawHeaders.length; index += 2) {
+            if (req.rawHeaders[index].toLowerCase() !== CORRELATION_HEADER) {
+                rawHeaders.push(req.rawHeaders[index], req.rawHeaders[index + 1]);
+            }
+        }
+        req.rawHeaders.splice(0, req.rawHeaders.length, ...rawHeaders, CORRELATION_HEADER, correlationId);
+        res.set("X-Request-Id", correlationId);
+
+        const started = performance.now();
+        res.on("finish", () => log.debug("http_request", {
+            correlationId,
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Math.round(performance.now() - started)
+        }));
+        next();
+    };
+}
+
+// Server-wide events every session receives, whatever session they came from
+const BROADCAST_EVENTS = new Set(["shutdown_started"]);
+
+// Log the tool calls of one session's McpServer and serve `logging/setLevel`:
+// the session receives the records carrying its session id (in stdio mode,
+// the records carrying none) and the broadcast events at or above its level,
+// `defaultLevel` until it sets one. Must run before anything is registered.
+export function serveLogging(server, { log = logger, defaultLevel = "warning" } = {}) {
+    let level = defaultLevel;
+    let stopListening;
+
+    onToolCall(server, ({ name, extra, done }) => {
+        const fields = { sessionId: extra?.sessionId, requestId: extra?.requestId, correlationId: correlationIdOf(extra), tool: name };
+        done.then(({ result, error, durationMs }) => {
+            if (error) {
+                log.error("tool_call", { ...fields, outcome: "error", error, durationMs: Math.round(durationMs) });
+            } else {
+                log.debug("tool_call", { ...fields, outcome: result?.isError ? "tool_error" : "ok", durationMs: Math.round(durationMs) });
+            }
+        });
+    });
+
+    server.server.registerCapabilities({ logging: {} });
+
+    server.server.setRequestHandler(SetLevelRequestSchema, async ({ params }) => {
+        level = params.level;
+        return {};
+    });
+
+    const forward = (record) => {
+        const own = record.sessionId === server.server.transport?.sessionId || BROADCAST_EVENTS.has(record.event);
+        if (!own || severity(record.level) < severity(level)) {
+            return;
+        }
+        // A failed notification is not logged again, or it would loop
+        server.server.sendLoggingMessage({ level: record.level, logger: record.event, data: record }).catch(() => {});
+    };
+
+    const oninitialized = server.server.oninitialized;
+    server.server.oninitialized = () => {
+        stopListening = log.listen(forward);
+        oninitialized?.();
+    };
+    const onclose = server.server.onclose;
+    server.server.onclose = () => {
+        stopListening?.();
+        onclose?.();
+    };
+}
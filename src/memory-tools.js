@@ -0,0 +1,234 @@
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { MemoryError, SHARED, isTextKey } from "./agent-memory.js";
+import { AccessError, MAX_GRANT_SECONDS, OPERATIONS, agentNamespace } from "./namespace-acl.js";
+import { completeFrom } from "./completions.js";
+import { toolError, toolResult } from "./tool-results.js";
+
+// =============================================================================
+// memory_* tools, memory://agents/{agentId}/{key} resources and the
+// grant_access/revoke_access tools for memory namespaces
+// =============================================================================
+
+const agentIdSchema = z.string().regex(/^[A-Za-z0-9_-]{1,64}$/)
+    .describe(`Agent id, or "${SHARED}" for memory shared by all agents`);
+const keySchema = z.string().regex(/^[a-z0-9_-]{1,64}$/)
+    .describe("state, knowledge, tasks, calibration (common_knowledge, global_config in shared) or a custom key");
+
+const granteeSchema = z.object({
+    subject: z.string().min(1).optional(),
+    agentId: agentIdSchema.optional()
+}).describe("Who receives access: a token subject or an agent id");
+
+const grantSchema = z.object({
+    id: z.string(),
+    namespace: z.string(),
+    grantee: granteeSchema,
+    operations: z.array(z.enum(OPERATIONS)),
+    grantedBy: z.string(),
+    createdAt: z.string(),
+    expiresAt: z.string()
+});
+
+// Agent ids whose memory `identity` may access with `operation`
+export const accessibleAgents = async ({ identity, store, acl }, operation) => (await store.listAgents())
+    .filter((agentId) => acl.allows(identity, agentNamespace(agentId), operation));
+
+export function registerMemoryTools(server, { identity, store, acl }) {
+    const accessible = (operation) => accessibleAgents({ identity, store, acl }, operation);
+    const agentIdArgument = (operation) => completable(agentIdSchema.optional(),
+        async (value) => completeFrom(await accessible(operation), value));
+
+    // Run a memory operation after the namespace ACL check; store failures
+    // become isError results carrying the MemoryError code
+    const guarded = (operation, handler) => async (input, extra) => {
+        const agentId = input.agentId ?? identity.agentId;
+        if (!agentId) {
+            return toolError("MISSING_AGENT_ID", "agentId is required for identities that are not an agent");
+        }
+        if (!acl.check(identity, agentNamespace(agentId), operation, { sessionId: extra?.sessionId })) {
+            return toolError("ACCESS_DENIED", `Not allowed to ${operation} the memory of agent ${agentId}`);
+        }
+        if (operation === "write" && input.key === "state" && agentId !== SHARED) {
+            return toolError("READ_ONLY_KEY", "state.json is kept by the agent registry; use agent_update_status");
+        }
+        try {
+            return await handler({ ...input, agentId }, extra);
+        } catch (error) {
+            if (error instanceof MemoryError) {
+                return toolError(error.code, error.message);
+            }
+            if (error instanceof SyntaxError) {
+                return toolError("CORRUPT_MEMORY", `Memory ${input.key} of ${agentId} is not valid JSON`);
+            }
+            throw error;
+        }
+    };
+
+    server.registerTool("memory_store",
+        {
+            title: "Store Memory",
+            description: "Write a memory entry of an agent. Markdown keys (knowledge, common_knowledge) take text and can be " +
+                "appended to; every other key takes any JSON value. agentId defaults to the calling agent.",
+            inputSchema: {
+                agentId: agentIdArgument("write"),
+                key: keySchema,
+                value: z.unknown().refine((value) => value !== undefined, { message: "Required" }),
+                append: z.boolean().default(false)
+            },
+            outputSchema: { agentId: z.string(), key: z.string(), file: z.string() }
+        },
+        guarded("write", async ({ agentId, key, value, append }) => {
+            const stored = await store.store(agentId, key, value, { append });
+            return toolResult(stored, `Stored ${key} for ${agentId}`);
+        })
+    );
+
+    server.registerTool("memory_get",
+        {
+            title: "Get Memory",
+            description: "Read a memory entry of an agent. agentId defaults to the calling agent.",
+            inputSchema: { agentId: agentIdArgument("read"), key: keySchema },
+            outputSchema: { agentId: z.string(), key: z.string(), value: z.unknown() }
+        },
+        guarded("read", async ({ agentId, key }) => {
+            const value = await store.get(agentId, key);
+            return toolResult({ agentId, key, value }, isTextKey(key) ? value : JSON.stringify(value, null, 2));
+        })
+    );
+
+    server.registerTool("memory_list",
+        {
+            title: "List Memory",
+            description: "List the memory keys of an agent. agentId defaults to the calling agent.",
+            inputSchema: { agentId: agentIdArgument("read") },
+            outputSchema: { agentId: z.string(), keys: z.array(z.string()) }
+        },
+        guarded("read", async ({ agentId }) => {
+            const keys = await store.list(agentId);
+            return toolResult({ agentId, keys }, keys.length ? keys.join("\n") : `No memory for ${agentId}`);
+        })
+    );
+
+    server.registerTool("memory_delete",
+        {
+            title: "Delete Memory",
+            description: "Delete a memory entry of an agent. agentId defaults to the calling agent.",
+            inputSchema: { agentId: agentIdArgument("write"), key: keySchema },
+            outputSchema: { agentId: z.string(), key: z.string(), deleted: z.boolean() }
+        },
+        guarded("write", async ({ agentId, key }) => {
+            await store.delete(agentId, key);
+            return toolResult({ agentId, key, deleted: true }, `Deleted ${key} for ${agentId}`);
+        })
+    );
+
+    // Memory entries as resources, listing only what this identity may read
+    server.registerResource(
+        "agent-memory",
+        new ResourceTemplate("memory://agents/{agentId}/{key}", {
+            list: async () => {
+                const resources = [];
+                for (const agentId of await accessible("read")) {
+                    for (const key of await store.list(agentId)) {
+                        resources.push({
+                            uri: `memory://agents/${agentId}/${key}`,
+                            name: `${agentId}/${key}`,
+                            mimeType: isTextKey(key) ? "text/markdown" : "application/json"
+                        });
+                    }
+                }
+                return { resources };
+            },
+            complete: {
+                agentId: async (value) => completeFrom(await accessible("read"), value),
+                key: async (value, context) => {
+                    const agentId = context?.arguments?.agentId;
+                    if (!agentId || !acl.allows(identity, agentNamespace(agentId), "read")) {
+                        return [];
+                    }
+                    return completeFrom(await store.list(agentId), value);
+                }
+            }
+        }),
+        {
+            title: "Agent Memory",
+            description: "Persistent memory of an agent, or of all agents under memory://agents/shared/"
+        },
+        async (uri, { agentId, key }, extra) => {
+            if (!acl.check(identity, agentNamespace(agentId), "read", { sessionId: extra?.sessionId })) {
+                throw new McpError(ErrorCode.InvalidParams, `Not allowed to read the memory of agent ${agentId}`);
+            }
+            let value;
+            try {
+                value = await store.get(agentId, key);
+            } catch (error) {
+                if (error instanceof MemoryError) {
+                    throw new McpError(ErrorCode.InvalidParams, error.message);
+                }
+                throw error;
+            }
+            const text = isTextKey(key);
+            return {
+                contents: [{
+                    uri: uri.href,
+                    mimeType: text ? "text/markdown" : "application/json",
+                    text: text ? value : JSON.stringify(value, null, 2)
+                }]
+            };
+        }
+    );
+    // Grant failures become isError results carrying the AccessError code
+    const granting = (handler) => async (input) => {
+        try {
+            return await handler(input);
+        } catch (error) {
+            if (error instanceof AccessError) {
+                return toolError(error.code, error.message);
+            }
+            throw error;
+        }
+    };
+
+    server.registerTool("grant_access",
+        {
+            title: "Grant Namespace Access",
+            description: "Give a subject or agent time-limited access to a memory namespace (agents/<agentId>, " +
+                "agents/shared or sessions/<date>). You can only grant access you have yourself.",
+            inputSchema: {
+                namespace: z.string(),
+                grantee: granteeSchema,
+                operations: z.array(z.enum(OPERATIONS)).min(1).default(["read"]),
+                expiresInSeconds: z.number().int().min(1).max(MAX_GRANT_SECONDS).default(3600)
+            },
+            outputSchema: { grant: grantSchema }
+        },
+        granting(async (input) => {
+            const grant = await acl.grant(identity, input);
+            const grantee = grant.grantee.agentId ? `agent ${grant.grantee.agentId}` : grant.grantee.subject;
+            return toolResult({ grant }, `Granted ${grant.operations.join(", ")} on ${grant.namespace} to ${grantee} until ${grant.expiresAt}`);
+        })
+    );
+
+    server.registerTool("revoke_access",
+        {
+            title: "Revoke Namespace Access",
+            description: "Revoke a grant by its id, or every grant of a namespace to a grantee",
+            inputSchema: {
+                grantId: z.string().optional(),
+                namespace: z.string().optional(),
+                grantee: granteeSchema.optional()
+            },
+            outputSchema: { revoked: z.array(grantSchema) }
+        },
+        granting(async ({ grantId, namespace, grantee }) => {
+            if (!grantId && !(namespace && grantee)) {
+                return toolError("MISSING_GRANT", "Pass grantId, or namespace and grantee");
+            }
+            const revoked = await acl.revoke(identity, { grantId, namespace, grantee });
+            return toolResult({ revoked }, `Revoked ${revoked.length} grant(s)`);
+        })
+    );
+}
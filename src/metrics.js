@@ -0,0 +1,176 @@
+import { monitorEventLoopDelay, performance } from "node:perf_hooks";
+import { onToolCall } from "./tool-calls.js";
+
+// =============================================================================
+// Runtime metrics: tool calls, sessions, event-loop lag and memory
+// =============================================================================
+//
+// Served as JSON through the `system://metrics` resource, laid out like the
+// Elixir auth service's /metrics (application, system, performance), and in
+// Prometheus text format on GET /metrics.
+
+// Upper bounds of the tool latency histogram buckets, in seconds
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const TRANSPORTS = ["stdio", "streamable", "sse"];
+
+const NS_PER_SECOND = 1e9;
+
+export class Metrics {
+    // Event-loop lag is measured over windows of `eventLoopWindowMs`; the
+    // snapshot reports the window in progress
+    constructor({ application, buckets = DURATION_BUCKETS, eventLoopWindowMs = 60000 }) {
+        this.application = application;
+        this.buckets = buckets;
+        this.tools = new Map(); // tool -> { calls, errors, bucketCounts, sumSeconds }
+        this.sessions = Object.fromEntries(TRANSPORTS.map((transport) => [transport, 0]));
+
+        this.eventLoop = monitorEventLoopDelay({ resolution: 20 });
+        this.eventLoop.enable();
+        this.eventLoopTimer = setInterval(() => this.eventLoop.reset(), eventLoopWindowMs);
+        this.eventLoopTimer.unref();
+    }
+
+    toolCall(tool, { durationMs, error = false }) {
+        let stats = this.tools.get(tool);
+        if (!stats) {
+            stats = { calls: 0, errors: 0, bucketCounts: this.buckets.map(() => 0), sumSeconds: 0 };
+            this.tools.set(tool, stats);
+        }
+
+        const seconds = durationMs / 1000;
+        stats.calls++;
+        stats.errors += error ? 1 : 0;
+        stats.sumSeconds += seconds;
+        this.buckets.forEach((bound, index) => {
+            if (seconds <= bound) {
+                stats.bucketCounts[index]++;
+            }
+        });
+    }
+
+    sessionOpened(transport) {
+        this.sessions[transport] = (this.sessions[transport] || 0) + 1;
+    }
+
+    sessionClosed(transport) {
+        this.sessions[transport] = Math.max(0, (this.sessions[transport] || 0) - 1);
+    }
+
+    snapshot() {
+        const memory = process.memoryUsage();
+        const cpu = process.cpuUsage();
+        const lag = (nanoseconds) => (Number.isFinite(nanoseconds) ? nanoseconds / NS_PER_SECOND : 0);
+
+        return {
+            timestamp: new Date().toISOString(),
+            application: this.application,
+            system: {
+                uptimeSeconds: process.uptime(),
+                nodeVersion: process.version,
+                memory: {
+                    rssBytes: memory.rss,
+                    heapUsedBytes: memory.heapUsed,
+                    heapTotalBytes: memory.heapTotal,
+                    externalBytes: memory.external
+                },
+                cpuSeconds: { user: cpu.user / 1e6, system: cpu.system / 1e6 }
+            },
+            sessions: { ...this.sessions },
+            tools: Object.fromEntries([...this.tools].sort(([a], [b]) => a.localeCompare(b)).map(([tool, stats]) => [tool, {
+                calls: stats.calls,
+                errors: stats.errors,
+                durationSeconds: {
+                    count: stats.calls,
+                    sum: stats.sumSeconds,
+                    buckets: this.buckets.map((le, index) => ({ le, count: stats.bucketCounts[index] }))
+                }
+            }])),
+            performance: {
+                eventLoopLagSeconds: {
+                    mean: lag(this.eventLoop.mean),
+                    p50: lag(this.eventLoop.percentile(50)),
+                    p99: lag(this.eventLoop.percentile(99)),
+                    max: lag(this.eventLoop.max)
+                },
+                eventLoopUtilization: performance.eventLoopUtilization().utilization
+            }
+        };
+    }
+
+    close() {
+        clearInterval(this.eventLoopTimer);
+        this.eventLoop.disable();
+    }
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+// Prometheus text exposition format (version 0.0.4) of a snapshot
+export function toPrometheus(snapshot) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value, suffix = ""] of samples) {
+            const rendered = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`).join(",");
+            lines.push(`${name}${suffix}${rendered ? `{${rendered}}` : ""} ${value}`);
+        }
+    };
+    const tools = Object.entries(snapshot.tools);
+
+    metric("mcp_tool_calls_total", "counter", "Tool calls, by tool",
+        tools.map(([tool, stats]) => [{ tool }, stats.calls]));
+    metric("mcp_tool_errors_total", "counter", "Tool calls that failed or returned isError, by tool",
+        tools.map(([tool, stats]) => [{ tool }, stats.errors]));
+    metric("mcp_tool_duration_seconds", "histogram", "Tool call latency, by tool",
+        tools.flatMap(([tool, { durationSeconds }]) => [
+            ...durationSeconds.buckets.map(({ le, count }) => [{ tool, le }, count, "_bucket"]),
+            [{ tool, le: "+Inf" }, durationSeconds.count, "_bucket"],
+            [{ tool }, durationSeconds.sum, "_sum"],
+            [{ tool }, durationSeconds.count, "_count"]
+        ]));
+    metric("mcp_active_sessions", "gauge", "Open MCP sessions, by transport",
+        Object.entries(snapshot.sessions).map(([transport, count]) => [{ transport }, count]));
+
+    const { eventLoopLagSeconds, eventLoopUtilization } = snapshot.performance;
+    metric("nodejs_eventloop_lag_seconds", "gauge", "Event-loop lag over the current window, by statistic",
+        Object.entries(eventLoopLagSeconds).map(([statistic, seconds]) => [{ statistic }, seconds]));
+    metric("nodejs_eventloop_utilization_ratio", "gauge", "Share of time the event loop was busy since startup",
+        [[{}, eventLoopUtilization]]);
+
+    const { memory, cpuSeconds, uptimeSeconds } = snapshot.system;
+    metric("process_resident_memory_bytes", "gauge", "Resident set size", [[{}, memory.rssBytes]]);
+    metric("nodejs_heap_used_bytes", "gauge", "V8 heap in use", [[{}, memory.heapUsedBytes]]);
+    metric("nodejs_heap_total_bytes", "gauge", "V8 heap allocated", [[{}, memory.heapTotalBytes]]);
+    metric("nodejs_external_memory_bytes", "gauge", "Memory of C++ objects bound to JavaScript", [[{}, memory.externalBytes]]);
+    metric("process_cpu_seconds_total", "counter", "CPU time, by mode",
+        Object.entries(cpuSeconds).map(([mode, seconds]) => [{ mode }, seconds]));
+    metric("process_uptime_seconds", "gauge", "Seconds since the process started", [[{}, uptimeSeconds]]);
+
+    return `${lines.join("\n")}\n`;
+}
+
+// Count the tool calls and the open sessions of one session's McpServer.
+// `transport` is "stdio", "streamable" or "sse".
+export function measureServer(server, metrics, { transport }) {
+    onToolCall(server, ({ name, done }) => {
+        done.then(({ result, error, durationMs }) => metrics.toolCall(name, { durationMs, error: Boolean(error || result?.isError) }));
+    });
+
+    // A session counts as open from initialization until its transport closes
+    let open = false;
+    const oninitialized = server.server.oninitialized;
+    server.server.oninitialized = () => {
+        open = true;
+        metrics.sessionOpened(transport);
+        oninitialized?.();
+    };
+    const onclose = server.server.onclose;
+    server.server.onclose = () => {
+        if (open) {
+            open = false;
+            metrics.sessionClosed(transport);
+        }
+        onclose?.();
+    };
+}
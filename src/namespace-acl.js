@@ -0,0 +1,163 @@
+import { randomUUID } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+import { SHARED, writeFileAtomic } from "./agent-memory.js";
+import { AtRestEncryption } from "./encryption.js";
+import { withFileLock } from "./file-lock.js";
+
+// =============================================================================
+// Access control on memory namespaces (REQ-RES-003/004)
+// =============================================================================
+//
+// Namespaces are the areas of the memory/ tree: `agents/<agentId>`,
+// `agents/shared` and `sessions/<date>`. Base rules:
+//
+//   agents/<agentId>  the agent itself; others need memory:<agentId>:<op>
+//   agents/shared     every agent; others need memory:shared:<op>
+//   sessions/<date>   read only, with session:<date>:read (a session's own
+//                     identity can always read its recording)
+//
+// Anything else has to be granted explicitly with grant_access, for a
+// limited time.
+
+export const OPERATIONS = ["read", "write"];
+
+// Longest a grant may last, and how long it lasts when no expiry is given
+export const MAX_GRANT_SECONDS = 30 * 24 * 60 * 60;
+export const DEFAULT_GRANT_SECONDS = 60 * 60;
+
+const NAMESPACE = /^(agents\/[A-Za-z0-9_-]{1,64}|sessions\/\d{4}-\d{2}-\d{2})$/;
+
+export class AccessError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "AccessError";
+        this.code = code;
+    }
+}
+
+export const agentNamespace = (agentId) => `agents/${agentId}`;
+export const sessionNamespace = (date) => `sessions/${date}`;
+export const isNamespace = (namespace) => NAMESPACE.test(namespace || "");
+
+// Whether a grant names this identity: by token subject or by agent id
+const granteeMatches = (grantee, identity) => (grantee.agentId
+    ? grantee.agentId === identity?.agentId
+    : grantee.subject === identity?.subject);
+
+export function createNamespaceAcl({ path, policy, audit, encryption = new AtRestEncryption() }) {
+    let grants = existsSync(path) ? JSON.parse(encryption.decode(readFileSync(path, "utf8"))).grants || [] : [];
+    let pending = Promise.resolve();
+
+    const live = () => grants.filter((grant) => Date.parse(grant.expiresAt) > Date.now());
+
+    // Write `change(live grants)` to the file, one change at a time. The
+    // grants in memory are replaced only once the write has succeeded, so a
+    // failed grant never takes effect and a failed revoke leaves the grant in
+    // place. Expired grants are dropped whenever the file is rewritten.
+    const update = (change) => {
+        const next = pending.then(async () => {
+            const updated = change(live());
+            await mkdir(dirname(path), { recursive: true });
+            await withFileLock(path, () => writeFileAtomic(path, encryption.encode(`${JSON.stringify({ grants: updated }, null, 2)}\n`)));
+            grants = updated;
+        });
+        pending = next.catch(() => {});
+        return next;
+    };
+
+    // Access under the base rules alone, without grants
+    const baseAllows = (identity, namespace, operation) => {
+        const [area, name] = namespace.split("/");
+        if (area === "sessions") {
+            return operation === "read" && policy.can(identity, `session:${name}:read`);
+        }
+        if (identity?.agentId) {
+            return name === identity.agentId || name === SHARED;
+        }
+        return policy.can(identity, `memory:${name}:${operation}`);
+    };
+
+    const grantAllows = (identity, namespace, operation) => live().some((grant) => grant.namespace === namespace
+        && grant.operations.includes(operation)
+        && granteeMatches(grant.grantee, identity));
+
+    const allows = (identity, namespace, operation) => isNamespace(namespace)
+        && (baseAllows(identity, namespace, operation) || grantAllows(identity, namespace, operation));
+
+    // Like `allows`, but every denial is written to the audit log
+    const check = (identity, namespace, operation, { sessionId } = {}) => {
+        const allowed = allows(identity, namespace, operation);
+        if (!allowed) {
+            audit.record({
+                sessionId,
+                subject: identity?.subject,
+                roles: identity?.roles,
+                agentId: identity?.agentId,
+                method: "namespace/access",
+                target: namespace,
+                operation,
+                outcome: "denied"
+            });
+        }
+        return allowed;
+    };
+
+    // Anyone with base access to a namespace may share that access; access
+    // that was itself granted can't be passed on
+    const grant = async (identity, { namespace, grantee, operations, expiresInSeconds = DEFAULT_GRANT_SECONDS }) => {
+        if (!isNamespace(namespace)) {
+            throw new AccessError("INVALID_NAMESPACE", `Unknown namespace ${namespace}`);
+        }
+        if (!grantee?.subject === !grantee?.agentId) {
+            throw new AccessError("INVALID_GRANTEE", "A grant names exactly one of subject or agentId");
+        }
+        if (expiresInSeconds <= 0 || expiresInSeconds > MAX_GRANT_SECONDS) {
+            throw new AccessError("INVALID_EXPIRY", `Grants expire after 1 to ${MAX_GRANT_SECONDS} seconds`);
+        }
+        const missing = operations.filter((operation) => !baseAllows(identity, namespace, operation));
+        if (missing.length > 0) {
+            throw new AccessError("ACCESS_DENIED", `Not allowed to grant ${missing.join(", ")} on ${namespace}`);
+        }
+
+        const now = Date.now();
+        const created = {
+            id: randomUUID(),
+            namespace,
+            grantee: grantee.agentId ? { agentId: grantee.agentId } : { subject: grantee.subject },
+            operations: [...new Set(operations)],
+            grantedBy: identity.subject,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + expiresInSeconds * 1000).toISOString()
+        };
+        await update((current) => [...current, created]);
+        return created;
+    };
+
+    // Revoke one grant by id, or every grant of a namespace to a grantee.
+    // The grantor, or anyone who could have made the grant, may revoke it.
+    const revoke = async (identity, { grantId, namespace, grantee }) => {
+        const matching = live().filter((candidate) => (grantId
+            ? candidate.id === grantId
+            : candidate.namespace === namespace && granteeMatches(candidate.grantee, grantee)));
+        if (matching.length === 0) {
+            throw new AccessError("GRANT_NOT_FOUND", "No matching grant");
+        }
+        const revocable = (candidate) => candidate.grantedBy === identity.subject
+            || candidate.operations.every((operation) => baseAllows(identity, candidate.namespace, operation));
+        if (!matching.every(revocable)) {
+            throw new AccessError("ACCESS_DENIED", "Not allowed to revoke this grant");
+        }
+
+        const revoked = new Set(matching.map((candidate) => candidate.id));
+        await update((current) => current.filter((candidate) => !revoked.has(candidate.id)));
+        return matching;
+    };
+
+    // Resolves once every grant change so far is settled; a failed change
+    // rejects its own grant or revoke, not later ones
+    const flush = () => pending;
+
+    return { path, allows, check, grant, revoke, flush };
+}
@@ -0,0 +1,225 @@
+import { z } from "zod";
+
+// =============================================================================
+// Float, fixed-scale decimal and BigInt arithmetic for the calculator tools
+// =============================================================================
+//
+// Decimals are held as an unscaled BigInt plus a scale (number of fraction
+// digits): 12.345 is { units: 12345n, scale: 3 }. Every operation is exact
+// until the result is rounded to the requested scale.
+
+// `code` is a stable identifier clients can branch on; messages may change
+export class CalculationError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "CalculationError";
+        this.code = code;
+    }
+}
+
+export const OPERATIONS = ["add", "subtract", "multiply", "divide"];
+export const PRECISIONS = ["float", "decimal", "bigint"];
+export const ROUNDING_MODES = ["half-up", "half-even", "half-down", "up", "down", "ceiling", "floor"];
+
+const NUMERIC = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Operands may be sent as strings so no precision is lost in transit
+export const operandSchema = z.union([
+    z.number(),
+    z.string().trim().regex(NUMERIC, "Expected a decimal number such as \"-12.50\" or \"1e3\"")
+]);
+
+export const precisionInputSchema = {
+    precision: z.enum(PRECISIONS).default("float")
+        .describe("float: JS doubles; decimal: exact decimal rounded to `scale`; bigint: exact integers"),
+    scale: z.number().int().min(0).max(100).default(20)
+        .describe("Fraction digits kept in decimal mode"),
+    rounding: z.enum(ROUNDING_MODES).default("half-even")
+        .describe("How decimal results and bigint division are rounded")
+};
+
+// Bounds the size of the BigInts an operand can expand into
+const MAX_EXPONENT = 1000;
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+export function parseDecimal(value) {
+    const text = String(value).trim();
+    const match = NUMERIC.exec(text);
+    if (!match) {
+        throw new CalculationError("INVALID_NUMBER", `Not a number: ${text}`);
+    }
+
+    const negative = text.startsWith("-");
+    const [whole, fraction = ""] = match[1].split(".");
+    const exponent = match[2] ? Number(match[2].slice(1)) : 0;
+    if (Math.abs(exponent) > MAX_EXPONENT) {
+        throw new CalculationError("EXPONENT_OUT_OF_RANGE", `Exponent out of range: ${text}`);
+    }
+
+    let units = BigInt(`${whole || "0"}${fraction}`);
+    let scale = fraction.length - exponent;
+    if (scale < 0) {
+        units *= pow10(-scale);
+        scale = 0;
+    }
+    return { units: negative ? -units : units, scale };
+}
+
+// Divide two BigInts, rounding the quotient according to `mode`
+export function divideRounded(numerator, denominator, mode) {
+    if (denominator === 0n) {
+        throw new CalculationError("DIVISION_BY_ZERO", "Division by zero");
+    }
+    if (denominator < 0n) {
+        numerator = -numerator;
+        denominator = -denominator;
+    }
+
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n) {
+        return quotient;
+    }
+
+    const negative = numerator < 0n;
+    const awayFromZero = negative ? quotient - 1n : quotient + 1n;
+    const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+
+    switch (mode) {
+        case "up":
+            return awayFromZero;
+        case "down":
+            return quotient;
+        case "ceiling":
+            return negative ? quotient : awayFromZero;
+        case "floor":
+            return negative ? awayFromZero : quotient;
+        case "half-up":
+            return twice >= denominator ? awayFromZero : quotient;
+        case "half-down":
+            return twice > denominator ? awayFromZero : quotient;
+        case "half-even":
+            if (twice === denominator) {
+                return quotient % 2n === 0n ? quotient : awayFromZero;
+            }
+            return twice > denominator ? awayFromZero : quotient;
+        default:
+            throw new CalculationError("INVALID_ROUNDING", `Unknown rounding mode: ${mode}`);
+    }
+}
+
+const rescale = ({ units, scale }, targetScale, rounding) => (targetScale >= scale
+    ? { units: units * pow10(targetScale - scale), scale: targetScale }
+    : { units: divideRounded(units, pow10(scale - targetScale), rounding), scale: targetScale });
+
+// Plain notation with trailing fraction zeros removed
+export function formatDecimal({ units, scale }) {
+    const negative = units < 0n;
+    const digits = (negative ? -units : units).toString().padStart(scale + 1, "0");
+    let text = scale > 0 ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+    if (scale > 0) {
+        text = text.replace(/0+$/, "").replace(/\.$/, "");
+    }
+    return negative && /[1-9]/.test(text) ? `-${text}` : text;
+}
+
+function decimalOperation(operation, a, b, { scale, rounding }) {
+    const x = parseDecimal(a);
+    const y = parseDecimal(b);
+    const common = Math.max(x.scale, y.scale);
+
+    switch (operation) {
+        case "add":
+        case "subtract": {
+            const left = rescale(x, common, rounding).units;
+            const right = rescale(y, common, rounding).units;
+            const units = operation === "add" ? left + right : left - right;
+            return rescale({ units, scale: common }, scale, rounding);
+        }
+        case "multiply":
+            return rescale({ units: x.units * y.units, scale: x.scale + y.scale }, scale, rounding);
+        case "divide": {
+            // x / y at `scale` digits = x.units * 10^(scale + y.scale - x.scale) / y.units
+            const shift = scale + y.scale - x.scale;
+            const numerator = shift >= 0 ? x.units * pow10(shift) : x.units;
+            const denominator = shift >= 0 ? y.units : y.units * pow10(-shift);
+            return { units: divideRounded(numerator, denominator, rounding), scale };
+        }
+        default:
+            throw new CalculationError("INVALID_OPERATION", `Invalid operation: ${operation}`);
+    }
+}
+
+function parseBigInt(value) {
+    const { units, scale } = parseDecimal(value);
+    if (scale > 0 && units % pow10(scale) !== 0n) {
+        throw new CalculationError("NOT_AN_INTEGER", `bigint mode needs whole numbers, got ${value}`);
+    }
+    return units / pow10(scale);
+}
+
+function bigintOperation(operation, a, b, { rounding }) {
+    const x = parseBigInt(a);
+    const y = parseBigInt(b);
+
+    switch (operation) {
+        case "add":
+            return x + y;
+        case "subtract":
+            return x - y;
+        case "multiply":
+            return x * y;
+        case "divide":
+            return divideRounded(x, y, rounding);
+        default:
+            throw new CalculationError("INVALID_OPERATION", `Invalid operation: ${operation}`);
+    }
+}
+
+function floatOperation(operation, a, b) {
+    const x = Number(a);
+    const y = Number(b);
+
+    let result;
+    switch (operation) {
+        case "add":
+            result = x + y;
+            break;
+        case "subtract":
+            result = x - y;
+            break;
+        case "multiply":
+            result = x * y;
+            break;
+        case "divide":
+            if (y === 0) {
+                throw new CalculationError("DIVISION_BY_ZERO", "Division by zero");
+            }
+            result = x / y;
+            break;
+        default:
+            throw new CalculationError("INVALID_OPERATION", `Invalid operation: ${operation}`);
+    }
+
+    // JSON has no Infinity or NaN; they would reach the client as null
+    if (!Number.isFinite(result)) {
+        throw new CalculationError("NON_FINITE_RESULT", `Result is not a finite number (${result}); use decimal or bigint precision`);
+    }
+    return result;
+}
+
+// Apply `operation` to two operands in the requested precision mode. The
+// result is returned as a string, except in float mode where it stays a number.
+export function compute(operation, a, b, { precision = "float", scale = 20, rounding = "half-even" } = {}) {
+    switch (precision) {
+        case "float":
+            return floatOperation(operation, a, b);
+        case "decimal":
+            return formatDecimal(decimalOperation(operation, a, b, { scale, rounding }));
+        case "bigint":
+            return bigintOperation(operation, a, b, { rounding }).toString();
+        default:
+            throw new CalculationError("INVALID_PRECISION", `Unknown precision mode: ${precision}`);
+    }
+}
@@ -0,0 +1,190 @@
+import { readFileSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { completeFrom } from "./completions.js";
+import { readResource } from "./resources.js";
+
+// =============================================================================
+// Prompts library: one JSON file per prompt in prompts/
+// =============================================================================
+//
+//   {
+//     "name": "explain-calculation",
+//     "title": "...", "description": "...",
+//     "arguments": {
+//       "audience": { "type": "enum", "values": ["beginner", "expert"], "default": "beginner" },
+//       "agentId": { "type": "string", "required": true, "complete": "agentId" }
+//     },
+//     "messages": [
+//       { "role": "user", "text": ["Line one with {{audience}}", "line two"] },
+//       { "role": "user", "resource": "memory://agents/{{agentId}}/state", "optional": true }
+//     ]
+//   }
+//
+// Argument types are string, integer, number and enum (prompt arguments are
+// strings on the wire). `complete` names a completion provider of the
+// session. Besides `{{argument}}`, templates may use `{{$variable}}` for
+// values of the session itself, such as `{{$sessionId}}`. A `resource`
+// message embeds that resource's contents; an optional one is left out when
+// it can't be read.
+
+const PROMPT_NAME = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const ARGUMENT_NAME = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+const ARGUMENT_TYPES = ["string", "integer", "number", "enum"];
+const ROLES = ["user", "assistant"];
+
+const PLACEHOLDER = /\{\{\s*(\$?[A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Check one prompt definition, naming the file in every problem
+function validatePrompt(prompt, file) {
+    const fail = (problem) => {
+        throw new Error(`Prompt file ${file}: ${problem}`);
+    };
+
+    if (!PROMPT_NAME.test(prompt.name || "")) {
+        fail(`invalid name "${prompt.name}"`);
+    }
+    for (const [name, argument] of Object.entries(prompt.arguments || {})) {
+        if (!ARGUMENT_NAME.test(name)) {
+            fail(`invalid argument name "${name}"`);
+        }
+        if (!ARGUMENT_TYPES.includes(argument.type || "string")) {
+            fail(`argument ${name} has unknown type "${argument.type}"`);
+        }
+        if (argument.type === "enum" && !(Array.isArray(argument.values) && argument.values.length > 0)) {
+            fail(`enum argument ${name} needs a list of values`);
+        }
+    }
+    if (!Array.isArray(prompt.messages) || prompt.messages.length === 0) {
+        fail("needs at least one message");
+    }
+    for (const message of prompt.messages) {
+        if (!ROLES.includes(message.role)) {
+            fail(`message role must be one of ${ROLES.join(", ")}`);
+        }
+        if ((message.text === undefined) === (message.resource === undefined)) {
+            fail("every message has either text or a resource");
+        }
+        const template = [message.text ?? message.resource].flat().join("\n");
+        for (const [, name] of template.matchAll(PLACEHOLDER)) {
+            if (!name.startsWith("$") && !prompt.arguments?.[name]) {
+                fail(`message uses undeclared argument {{${name}}}`);
+            }
+        }
+    }
+}
+
+// Read every *.json prompt in `directory`; names must be unique
+export function loadPrompts(directory) {
+    let files;
+    try {
+        files = readdirSync(directory).filter((file) => file.endsWith(".json")).sort();
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return [];
+        }
+        throw error;
+    }
+
+    const prompts = new Map();
+    for (const file of files) {
+        const path = join(directory, file);
+        const prompt = JSON.parse(readFileSync(path, "utf8"));
+        validatePrompt(prompt, path);
+        if (prompts.has(prompt.name)) {
+            throw new Error(`Prompt file ${path}: prompt "${prompt.name}" is already defined`);
+        }
+        prompts.set(prompt.name, prompt);
+    }
+    return [...prompts.values()];
+}
+
+// Zod schema of one argument, completed from its enum values or the named provider
+function argumentSchema(argument, completers) {
+    let schema;
+    switch (argument.type) {
+        case "integer":
+            schema = z.string().regex(/^[+-]?\d+$/, "must be an integer");
+            break;
+        case "number":
+            schema = z.string().regex(/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/, "must be a number");
+            break;
+        case "enum":
+            schema = z.enum(argument.values);
+            break;
+        default:
+            schema = z.string().max(argument.maxLength ?? 1000);
+    }
+    if (argument.description) {
+        schema = schema.describe(argument.description);
+    }
+    if (!argument.required) {
+        schema = schema.optional();
+    }
+
+    const completer = argument.type === "enum"
+        ? (value) => completeFrom(argument.values, value)
+        : completers[argument.complete];
+    return completer ? completable(schema, completer) : schema;
+}
+
+// Fill in `{{argument}}` and `{{$variable}}` placeholders, each value
+// passed through `escape` (URI encoding for resource messages)
+function render(template, args, variables, escape = String) {
+    return template.replace(PLACEHOLDER, (_match, name) => {
+        if (!name.startsWith("$")) {
+            return escape(args[name] ?? "");
+        }
+        if (!(name.slice(1) in variables)) {
+            throw new McpError(ErrorCode.InternalError, `Unknown prompt variable {{${name}}}`);
+        }
+        return escape(variables[name.slice(1)]);
+    });
+}
+
+// Register every loaded prompt on one session's McpServer. `completers` maps
+// provider names used by `complete` to `(value, context) => values`;
+// `variables(extra)` returns the `{{$variable}}` values of a request.
+export function registerPrompts(server, prompts, { completers = {}, variables = () => ({}) } = {}) {
+    for (const prompt of prompts) {
+        const argumentsOf = Object.entries(prompt.arguments || {});
+        const argsSchema = Object.fromEntries(argumentsOf.map(([name, argument]) => [name, argumentSchema(argument, completers)]));
+
+        server.registerPrompt(prompt.name,
+            {
+                title: prompt.title,
+                description: prompt.description,
+                argsSchema
+            },
+            async (input, extra) => {
+                const args = Object.fromEntries(argumentsOf.map(([name, argument]) => [name, input[name] ?? argument.default]));
+                const values = variables(extra);
+
+                const messages = [];
+                for (const message of prompt.messages) {
+                    if (message.text !== undefined) {
+                        messages.push({ role: message.role, content: { type: "text", text: render([message.text].flat().join("\n"), args, values) } });
+                        continue;
+                    }
+
+                    const uri = render(message.resource, args, values, encodeURIComponent);
+                    let contents;
+                    try {
+                        ({ contents } = await readResource(server, uri, extra));
+                    } catch (error) {
+                        if (message.optional) {
+                            continue;
+                        }
+                        throw new McpError(ErrorCode.InvalidParams, `Prompt ${prompt.name} can't embed ${uri}: ${error.message}`);
+                    }
+                    for (const resource of contents) {
+                        messages.push({ role: message.role, content: { type: "resource", resource } });
+                    }
+                }
+                return { description: prompt.description, messages };
+            }
+        );
+    }
+}
@@ -0,0 +1,161 @@
+// =============================================================================
+// Rate limiting and brute-force protection (REQ-AUTH-005)
+// =============================================================================
+
+// JSON-RPC error code for a tool call that exceeded its rate limit
+export const RATE_LIMITED = -32029;
+
+// Token buckets keyed by caller. Each bucket holds up to `capacity` tokens
+// and refills continuously at `capacity` per `intervalMs`.
+export class TokenBucketLimiter {
+    constructor({ capacity, intervalMs = 60000 }) {
+        this.capacity = capacity;
+        this.refillPerMs = capacity / intervalMs;
+        this.buckets = new Map();
+
+        // Full buckets carry no information; drop them so idle callers don't pile up
+        this.pruneTimer = setInterval(() => this.prune(), intervalMs);
+        this.pruneTimer.unref();
+    }
+
+    refill(key, now) {
+        const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+        bucket.updatedAt = now;
+        this.buckets.set(key, bucket);
+        return bucket;
+    }
+
+    // Take one token; when the bucket is empty report how long until one is back
+    take(key) {
+        const bucket = this.refill(key, Date.now());
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, retryAfterMs: 0 };
+        }
+        return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / this.refillPerMs) };
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const key of [...this.buckets.keys()]) {
+            if (this.refill(key, now).tokens >= this.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+// Express middleware answering 429 with a Retry-After hint once the caller's
+// bucket is empty. Requests for which `keyOf` returns nothing pass through.
+export function createHttpRateLimit({ limiter, keyOf }) {
+    return (req, res, next) => {
+        const key = keyOf(req);
+        if (!key) {
+            next();
+            return;
+        }
+
+        const { allowed, retryAfterMs } = limiter.take(key);
+        if (allowed) {
+            next();
+            return;
+        }
+
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        res.set("Retry-After", String(retryAfter));
+        res.status(429).json({ error: "Too many requests", retryAfter });
+    };
+}
+
+// Tracks failed authentication attempts per client. After `freeAttempts`
+// failures each further failure is answered more slowly (doubling up to
+// `maxDelayMs`), and after `lockoutThreshold` failures within `windowMs`
+// the client is locked out for `lockoutMs`.
+export class AuthFailureTracker {
+    constructor({
+        freeAttempts = 3,
+        baseDelayMs = 250,
+        maxDelayMs = 8000,
+        lockoutThreshold = 5,
+        windowMs = 15 * 60 * 1000,
+        lockoutMs = 15 * 60 * 1000
+    } = {}) {
+        Object.assign(this, { freeAttempts, baseDelayMs, maxDelayMs, lockoutThreshold, windowMs, lockoutMs });
+        this.records = new Map();
+
+        this.pruneTimer = setInterval(() => this.prune(), windowMs);
+        this.pruneTimer.unref();
+    }
+
+    current(key, now) {
+        const record = this.records.get(key);
+        if (record && now - record.firstFailureAt > this.windowMs && (record.lockedUntil || 0) <= now) {
+            this.records.delete(key);
+            return undefined;
+        }
+        return record;
+    }
+
+    // Milliseconds the client is still locked out for, or 0
+    lockedFor(key) {
+        const now = Date.now();
+        const record = this.current(key, now);
+        return record?.lockedUntil ? Math.max(0, record.lockedUntil - now) : 0;
+    }
+
+    // Record a failure and return how long to delay the response
+    fail(key) {
+        const now = Date.now();
+        const record = this.current(key, now) || { failures: 0, firstFailureAt: now };
+        record.failures += 1;
+        if (record.failures >= this.lockoutThreshold) {
+            record.lockedUntil = now + this.lockoutMs;
+        }
+        this.records.set(key, record);
+
+        const excess = record.failures - this.freeAttempts;
+        return excess > 0 ? Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (excess - 1)) : 0;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const key of [...this.records.keys()]) {
+            this.current(key, now);
+        }
+    }
+}
+
+// Apply per-tool limits to one session's McpServer. Calls over the limit are
+// answered with a RATE_LIMITED error whose data carries `retryAfterMs`.
+// `limiterFor(toolName)` returns the limiter for a tool, or nothing.
+export function limitToolCalls(server, identity, limiterFor) {
+    const connect = server.connect.bind(server);
+    server.connect = async (transport) => {
+        await connect(transport);
+
+        const onmessage = transport.onmessage;
+        transport.onmessage = (message, extra) => {
+            const limiter = message.method === "tools/call" && "id" in message
+                ? limiterFor(message.params?.name)
+                : undefined;
+            const { allowed, retryAfterMs } = limiter
+                ? limiter.take(`${identity?.subject}:${message.params.name}`)
+                : { allowed: true };
+            if (allowed) {
+                onmessage?.(message, extra);
+                return;
+            }
+
+            transport.send({
+                jsonrpc: "2.0",
+                id: message.id,
+                error: {
+                    code: RATE_LIMITED,
+                    message: `Rate limit exceeded for ${message.params.name}; retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+                    data: { retryAfterMs }
+                }
+            }).catch((error) => transport.onerror?.(error));
+        };
+    };
+}
@@ -0,0 +1,224 @@
+import { readFileSync } from "node:fs";
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
+import { correlationIdOf, logger } from "./logger.js";
+
+// =============================================================================
+// Role-based access control for tools, resources and prompts (REQ-RBAC-001..003,
+// REQ-RES-001/002)
+// =============================================================================
+
+// JSON-RPC error code returned when the caller's roles don't allow a request
+export const FORBIDDEN = -32003;
+
+// Permissions are `tool:<name>`, `resource:<name>:<read|write>`,
+// `prompt:<name>`, `memory:<agentId>:<read|write>` (memory of agents other than the caller's
+// own), `session:<date>:read` (recordings of other identities' sessions
+// on that day) or `admin:sessions` (listing and terminating anyone's open
+// sessions over HTTP); any segment may be `*`, and a bare `*` grants everything.
+export const BUILT_IN_ROLES = {
+    guest: {
+        inherits: [],
+        permissions: ["tool:get_greeting", "resource:greeting:read"]
+    },
+    viewer: {
+        inherits: ["guest"],
+        permissions: ["resource:*:read"]
+    },
+    user: {
+        inherits: ["viewer"],
+        permissions: [
+            "tool:add", "tool:multiply", "tool:calculate", "tool:evaluate", "tool:recall", "tool:clear_history",
+            "prompt:explain-calculation"
+        ]
+    },
+    agent: {
+        inherits: ["user"],
+        permissions: [
+            "tool:memory_store", "tool:memory_get", "tool:memory_list", "tool:memory_delete",
+            "tool:agent_update_status", "tool:grant_access", "tool:revoke_access",
+            "prompt:summarize-agent-memory"
+        ]
+    },
+    operator: {
+        inherits: ["user"],
+        permissions: [
+            "tool:get_system_info", "tool:memory_get", "tool:memory_list", "memory:*:read", "session:*:read",
+            "tool:agent_register", "tool:agent_list", "tool:agent_update_status", "tool:agent_terminate",
+            "tool:grant_access", "tool:revoke_access", "prompt:*"
+        ]
+    },
+    admin: {
+        inherits: ["operator"],
+        permissions: ["*"]
+    }
+};
+
+// Merge custom roles from a JSON config file (`{ "roles": { ... } }`) over
+// the built-in ones and check that every inherited role exists without cycles
+export function loadRoles(configPath) {
+    const roles = { ...BUILT_IN_ROLES };
+
+    if (configPath) {
+        const config = JSON.parse(readFileSync(configPath, "utf8"));
+        for (const [name, role] of Object.entries(config.roles || {})) {
+            roles[name] = {
+                inherits: Array.isArray(role.inherits) ? role.inherits : [],
+                permissions: Array.isArray(role.permissions) ? role.permissions : []
+            };
+        }
+    }
+
+    const visit = (name, path) => {
+        if (!roles[name]) {
+            throw new Error(`Role "${path[path.length - 1]}" inherits unknown role "${name}"`);
+        }
+        if (path.includes(name)) {
+            throw new Error(`Role inheritance cycle: ${[...path, name].join(" -> ")}`);
+        }
+        for (const parent of roles[name].inherits) {
+            visit(parent, [...path, name]);
+        }
+    };
+    for (const name of Object.keys(roles)) {
+        visit(name, []);
+    }
+
+    return roles;
+}
+
+const permissionMatches = (granted, requested) => {
+    if (granted === "*") {
+        return true;
+    }
+    const grantedParts = granted.split(":");
+    const requestedParts = requested.split(":");
+    return grantedParts.length === requestedParts.length
+        && grantedParts.every((part, index) => part === "*" || part === requestedParts[index]);
+};
+
+export function createPolicy(roles) {
+    const expanded = new Map();
+
+    // All permissions of a role including the ones it inherits
+    const permissionsOf = (name) => {
+        if (!expanded.has(name)) {
+            const role = roles[name];
+            const permissions = new Set(role ? role.permissions : []);
+            for (const parent of role ? role.inherits : []) {
+                permissionsOf(parent).forEach((permission) => permissions.add(permission));
+            }
+            expanded.set(name, permissions);
+        }
+        return expanded.get(name);
+    };
+
+    const can = (identity, permission) => (identity?.roles || []).some((role) =>
+        [...permissionsOf(role)].some((granted) => permissionMatches(granted, permission)));
+
+    return { roles, can, permissionsOf };
+}
+
+// Denials are warnings; `context` ties the decision to its session and request
+const logDecision = (identity, permission, allowed, context) => {
+    logger.log(allowed ? "info" : "warning", "authorization", {
+        ...context,
+        subject: identity?.subject,
+        roles: identity?.roles,
+        permission,
+        decision: allowed ? "allow" : "deny"
+    });
+};
+
+// Apply the policy to one session's McpServer. Must run before anything is
+// registered: tools, resources and prompts the identity may not use are
+// removed so `tools/list`, `resources/list` and `prompts/list` never show
+// them, and `tools/call`, `resources/read`, `resources/subscribe` or
+// `prompts/get` for them is answered with a FORBIDDEN error.
+export function enforcePolicy(server, identity, policy) {
+    const tools = new Set();
+    const resources = [];
+    const prompts = new Set();
+
+    const registerTool = server.registerTool.bind(server);
+    server.registerTool = (name, ...rest) => {
+        const registered = registerTool(name, ...rest);
+        tools.add(name);
+        if (!policy.can(identity, `tool:${name}`)) {
+            registered.remove();
+        }
+        return registered;
+    };
+
+    const registerResource = server.registerResource.bind(server);
+    server.registerResource = (name, uriOrTemplate, ...rest) => {
+        const registered = registerResource(name, uriOrTemplate, ...rest);
+        const template = uriOrTemplate instanceof ResourceTemplate
+            ? uriOrTemplate.uriTemplate
+            : UriTemplate.isTemplate(uriOrTemplate) ? new UriTemplate(uriOrTemplate) : undefined;
+        resources.push({
+            name,
+            matches: (uri) => template ? template.match(uri) !== null : uri === uriOrTemplate
+        });
+        if (!policy.can(identity, `resource:${name}:read`)) {
+            registered.remove();
+        }
+        return registered;
+    };
+
+    const registerPrompt = server.registerPrompt.bind(server);
+    server.registerPrompt = (name, ...rest) => {
+        const registered = registerPrompt(name, ...rest);
+        prompts.add(name);
+        if (!policy.can(identity, `prompt:${name}`)) {
+            registered.remove();
+        }
+        return registered;
+    };
+
+    // Permission needed for an incoming request, if it targets something we know
+    const requiredPermission = (message) => {
+        if (message.method === "tools/call" && tools.has(message.params?.name)) {
+            return `tool:${message.params.name}`;
+        }
+        if (message.method === "prompts/get" && prompts.has(message.params?.name)) {
+            return `prompt:${message.params.name}`;
+        }
+        if (message.method === "resources/read" || message.method === "resources/subscribe") {
+            const resource = resources.find(({ matches }) => matches(message.params?.uri));
+            return resource ? `resource:${resource.name}:read` : undefined;
+        }
+        return undefined;
+    };
+
+    const connect = server.connect.bind(server);
+    server.connect = async (transport) => {
+        await connect(transport);
+
+        const onmessage = transport.onmessage;
+        transport.onmessage = (message, extra) => {
+            const permission = "id" in message ? requiredPermission(message) : undefined;
+            if (!permission) {
+                onmessage?.(message, extra);
+                return;
+            }
+
+            const allowed = policy.can(identity, permission);
+            logDecision(identity, permission, allowed, {
+                sessionId: transport.sessionId,
+                requestId: message.id,
+                correlationId: correlationIdOf(extra)
+            });
+            if (allowed) {
+                onmessage?.(message, extra);
+                return;
+            }
+
+            transport.send({
+                jsonrpc: "2.0",
+                id: message.id,
+                error: { code: FORBIDDEN, message: `Forbidden: ${permission} is not granted to this session` }
+            }).catch((error) => transport.onerror?.(error));
+        };
+    };
+}
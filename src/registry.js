@@ -0,0 +1,65 @@
+// =============================================================================
+// What one session's McpServer has registered
+// =============================================================================
+//
+// The tools, resources, resource templates and prompts a session offers,
+// kept from the handles the SDK's register* calls return, so nothing has to
+// read the McpServer's private maps. A handle leaves the registry when it is
+// removed (RBAC removes what the identity may not use) and follows renames.
+
+const registries = new WeakMap(); // McpServer -> its registry
+
+// Start tracking `server`. Must run before anything else wraps its register*
+// calls, or removals made by those wrappers would be missed.
+export function trackRegistrations(server) {
+    const registry = { tools: new Map(), resources: new Map(), templates: new Map(), prompts: new Map() };
+
+    // `keyField` is the update field that renames the entry (`null` removes it)
+    const track = (entries, key, handle, keyField) => {
+        entries.set(key, handle);
+        const update = handle.update;
+        handle.update = (updates) => {
+            if (updates[keyField] !== undefined && updates[keyField] !== key) {
+                entries.delete(key);
+                key = updates[keyField];
+                if (key) {
+                    entries.set(key, handle);
+                }
+            }
+            return update(updates);
+        };
+        const remove = handle.remove;
+        handle.remove = () => {
+            entries.delete(key);
+            return remove();
+        };
+        return handle;
+    };
+
+    const registerTool = server.registerTool.bind(server);
+    server.registerTool = (name, ...rest) => track(registry.tools, name, registerTool(name, ...rest), "name");
+
+    const registerResource = server.registerResource.bind(server);
+    server.registerResource = (name, uriOrTemplate, ...rest) => {
+        const registered = registerResource(name, uriOrTemplate, ...rest);
+        return typeof uriOrTemplate === "string"
+            ? track(registry.resources, uriOrTemplate, registered, "uri")
+            : track(registry.templates, name, registered, "name");
+    };
+
+    const registerPrompt = server.registerPrompt.bind(server);
+    server.registerPrompt = (name, ...rest) => track(registry.prompts, name, registerPrompt(name, ...rest), "name");
+
+    registries.set(server, registry);
+    return registry;
+}
+
+// The registry of a tracked server: `{ tools, resources, templates, prompts }`,
+// maps from tool name, resource URI, template name and prompt name to handles
+export function registryOf(server) {
+    const registry = registries.get(server);
+    if (!registry) {
+        throw new Error("McpServer registrations are not tracked; call trackRegistrations() first");
+    }
+    return registry;
+}
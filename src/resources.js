@@ -0,0 +1,31 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { registryOf } from "./registry.js";
+
+// =============================================================================
+// Reading a session's resources from inside the server
+// =============================================================================
+
+// Read `uri` through the read callback of one session's McpServer, as
+// `resources/read` would. Resources removed by RBAC are not found, and the
+// callback's own checks (namespace ACL, session ownership) and auditing apply.
+export async function readResource(server, uri, extra) {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI ${uri}`);
+    }
+
+    const { resources, templates } = registryOf(server);
+    const resource = resources.get(uri);
+    if (resource?.enabled) {
+        return resource.readCallback(url, extra);
+    }
+    for (const template of templates.values()) {
+        const variables = template.enabled ? template.resourceTemplate.uriTemplate.match(uri) : null;
+        if (variables) {
+            return template.readCallback(url, variables, extra);
+        }
+    }
+    throw new McpError(ErrorCode.InvalidParams, `Resource ${uri} not found`);
+}
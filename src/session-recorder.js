@@ -0,0 +1,216 @@
+import { randomUUID } from "node:crypto";
+import { appendFile, mkdir, readFile, readdir } from "node:fs/promises";
+import { join } from "node:path";
+import { writeFileAtomic } from "./agent-memory.js";
+import { AtRestEncryption } from "./encryption.js";
+import { withFileLock } from "./file-lock.js";
+import { logger } from "./logger.js";
+import { onToolCall } from "./tool-calls.js";
+
+// =============================================================================
+// Session recordings in the memory/sessions/ layout (see its README)
+// =============================================================================
+//
+//   memory/sessions/<YYYY-MM-DD>/<sessionId>/metadata.json    client, identity, start/end
+//                                            conversation.md  transcript of tool calls
+//                                            artifacts/, coordination_state/
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const SESSION_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Longest argument or result text kept in a transcript entry
+const MAX_TRANSCRIPT_TEXT = 10000;
+
+const truncate = (text) => (text.length > MAX_TRANSCRIPT_TEXT
+    ? `${text.slice(0, MAX_TRANSCRIPT_TEXT)}\n… (${text.length - MAX_TRANSCRIPT_TEXT} more characters)`
+    : text);
+
+const resultText = (result) => (result?.content || [])
+    .map((item) => (item.type === "text" ? item.text : `[${item.type}]`))
+    .join("\n");
+
+export const isRecordingPath = (date, sessionId) => DATE.test(date) && SESSION_ID.test(sessionId);
+
+// Files are encrypted with `encryption` when it has an active key; every
+// transcript append becomes its own envelope
+export function createSessionRecorder({ root, encryption = new AtRestEncryption() }) {
+    const recordings = new Map(); // sessionId -> { directory, metadata }
+    let pending = Promise.resolve();
+
+    // Writes are queued strictly in order, like the audit log
+    const enqueue = (write) => {
+        pending = pending
+            .then(write)
+            .catch((error) => logger.error("session_recording_write_failed", { error }));
+        return pending;
+    };
+
+    const directoryOf = (date, sessionId) => join(root, "sessions", date, sessionId);
+
+    // Re-encryption after a key rotation rewrites these files too
+    const writeMetadata = (directory, metadata) => {
+        const path = join(directory, "metadata.json");
+        return withFileLock(path, () => writeFileAtomic(path, encryption.encode(`${JSON.stringify(metadata, null, 2)}\n`)));
+    };
+    const appendTranscript = (directory, text) => {
+        const path = join(directory, "conversation.md");
+        return withFileLock(path, () => appendFile(path, encryption.encode(text)));
+    };
+
+    const start = (sessionId, { transport, identity, clientInfo }) => {
+        const startedAt = new Date().toISOString();
+        const directory = directoryOf(startedAt.slice(0, 10), sessionId);
+        const metadata = {
+            sessionId,
+            transport,
+            client: clientInfo || null,
+            identity: identity
+                ? { subject: identity.subject, username: identity.username, roles: identity.roles, agentId: identity.agentId }
+                : null,
+            startedAt,
+            endedAt: null,
+            toolCalls: 0
+        };
+        recordings.set(sessionId, { directory, metadata });
+
+        const client = clientInfo ? `${clientInfo.name} ${clientInfo.version}` : "unknown";
+        enqueue(async () => {
+            await mkdir(join(directory, "artifacts"), { recursive: true });
+            await mkdir(join(directory, "coordination_state"), { recursive: true });
+            await writeMetadata(directory, metadata);
+            await appendTranscript(directory, [
+                `# Session ${sessionId}`,
+                "",
+                `- Client: ${client}`,
+                `- Identity: ${metadata.identity?.subject ?? "anonymous"} (${(metadata.identity?.roles || []).join(", ")})`,
+                `- Transport: ${transport}`,
+                `- Started: ${startedAt}`,
+                "",
+                ""
+            ].join("\n"));
+        });
+        return metadata;
+    };
+
+    // Append one tool call and its result to the transcript
+    const toolCall = (sessionId, { tool, input, result, error, latencyMs }) => {
+        const recording = recordings.get(sessionId);
+        if (!recording) {
+            return;
+        }
+        recording.metadata.toolCalls++;
+
+        const time = new Date().toISOString().slice(11, 19);
+        const outcome = error ? `Failed: ${error.message}` : result?.isError ? "Error result:" : "Result:";
+        const lines = [
+            `## ${time} ${tool}`,
+            "",
+            "Arguments:",
+            "",
+            "```json",
+            truncate(JSON.stringify(input ?? {}, null, 2)),
+            "```",
+            "",
+            `${outcome} (${latencyMs} ms)`,
+            ""
+        ];
+        if (!error) {
+            lines.push("```", truncate(resultText(result)), "```", "");
+        }
+        enqueue(() => appendTranscript(recording.directory, `${lines.join("\n")}\n`));
+    };
+
+    const end = (sessionId) => {
+        const recording = recordings.get(sessionId);
+        if (!recording) {
+            return pending;
+        }
+        recordings.delete(sessionId);
+        recording.metadata.endedAt = new Date().toISOString();
+
+        const { directory, metadata } = recording;
+        return enqueue(async () => {
+            await writeMetadata(directory, metadata);
+            await appendTranscript(directory, `---\n\nSession ended at ${metadata.endedAt}.\n`);
+        });
+    };
+
+    // Metadata and transcript of a recording, or undefined if there is none
+    const read = async (date, sessionId) => {
+        if (!isRecordingPath(date, sessionId)) {
+            return undefined;
+        }
+        const directory = directoryOf(date, sessionId);
+        try {
+            // metadata.json is rewritten when the session ends; until then the live copy is current
+            const stored = JSON.parse(encryption.decode(await readFile(join(directory, "metadata.json"), "utf8")));
+            const live = recordings.get(sessionId);
+            const metadata = live?.directory === directory ? { ...live.metadata } : stored;
+            const conversation = await readFile(join(directory, "conversation.md"), "utf8").then((content) => encryption.decode(content), () => "");
+            return { metadata, conversation };
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return undefined;
+            }
+            throw error;
+        }
+    };
+
+    // Metadata of every recording, newest day first
+    const list = async () => {
+        const dates = (await readdir(join(root, "sessions")).catch(() => [])).filter((date) => DATE.test(date)).sort().reverse();
+        const found = [];
+        for (const date of dates) {
+            for (const sessionId of await readdir(join(root, "sessions", date)).catch(() => [])) {
+                const recording = await read(date, sessionId).catch(() => undefined);
+                if (recording) {
+                    found.push({ date, ...recording.metadata });
+                }
+            }
+        }
+        return found;
+    };
+
+    // Resolves once everything recorded so far is on disk
+    const flush = () => pending;
+
+    return { root, start, toolCall, end, read, list, flush };
+}
+
+// Record one session's McpServer: metadata once the client has initialized,
+// every tool call, and the end time when the transport closes. Must run
+// before any tool is registered.
+export function recordSession(server, identity, recorder, { transport: transportName }) {
+    let sessionId;
+
+    onToolCall(server, ({ name, input, done }) => {
+        done.then(({ result, error, durationMs }) => {
+            recorder.toolCall(sessionId, { tool: name, input, result, error, latencyMs: Math.round(durationMs) });
+        });
+    });
+
+    const connect = server.connect.bind(server);
+    server.connect = async (transport) => {
+        const oninitialized = server.server.oninitialized;
+        server.server.oninitialized = () => {
+            // Stdio has no transport session id, so each stdio run gets its own
+            sessionId = transport.sessionId || `stdio-${randomUUID()}`;
+            recorder.start(sessionId, {
+                transport: transportName,
+                identity,
+                clientInfo: server.server.getClientVersion()
+            });
+            oninitialized?.();
+        };
+
+        const onclose = server.server.onclose;
+        server.server.onclose = () => {
+            if (sessionId) {
+                recorder.end(sessionId);
+            }
+            onclose?.();
+        };
+
+        return connect(transport);
+    };
+}
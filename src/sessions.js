@@ -0,0 +1,135 @@
+import { logger } from "./logger.js";
+import { onToolCall } from "./tool-calls.js";
+
+// =============================================================================
+// Session lifecycle: idle and absolute timeouts, concurrent session caps
+// =============================================================================
+//
+// Every HTTP session (Streamable HTTP or SSE) is registered from the moment
+// it opens until its transport closes. A sweep closes sessions that have
+// been idle or open for too long, so half-open clients can't pin memory.
+
+export class SessionLimitError extends Error {
+    constructor(message, { scope }) {
+        super(message);
+        this.name = "SessionLimitError";
+        this.code = "SESSION_LIMIT";
+        this.scope = scope; // "global" or "identity"
+    }
+}
+
+export class SessionRegistry {
+    constructor({ idleTimeoutMs, maxAgeMs, maxSessions, maxPerIdentity, sweepIntervalMs = 30000 }) {
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.maxAgeMs = maxAgeMs;
+        this.maxSessions = maxSessions;
+        this.maxPerIdentity = maxPerIdentity;
+        this.sessions = new Map(); // id -> { subject, transport, close, createdAt, lastActiveAt, calls }
+
+        this.sweepTimer = setInterval(() => this.sweep(), Math.min(sweepIntervalMs, idleTimeoutMs, maxAgeMs));
+        this.sweepTimer.unref();
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    countOf(subject) {
+        let count = 0;
+        for (const session of this.sessions.values()) {
+            count += session.subject === subject ? 1 : 0;
+        }
+        return count;
+    }
+
+    // Throws a SessionLimitError when `subject` may not open another session
+    admit(subject) {
+        if (this.sessions.size >= this.maxSessions) {
+            throw new SessionLimitError(`Server session limit of ${this.maxSessions} reached`, { scope: "global" });
+        }
+        if (this.countOf(subject) >= this.maxPerIdentity) {
+            throw new SessionLimitError(`Session limit of ${this.maxPerIdentity} per identity reached`, { scope: "identity" });
+        }
+    }
+
+    // `close` ends the session's transport; the transport's own close
+    // handler is expected to call `closed(id)`
+    open(id, { subject, transport, close }) {
+        const now = Date.now();
+        this.sessions.set(id, { subject, transport, close, createdAt: now, lastActiveAt: now, calls: 0 });
+    }
+
+    closed(id) {
+        this.sessions.delete(id);
+    }
+
+    touch(id) {
+        const session = this.sessions.get(id);
+        if (session) {
+            session.lastActiveAt = Date.now();
+        }
+    }
+
+    toolCalled(id) {
+        const session = this.sessions.get(id);
+        if (session) {
+            session.calls++;
+            session.lastActiveAt = Date.now();
+        }
+    }
+
+    list() {
+        const now = Date.now();
+        return [...this.sessions].map(([id, session]) => ({
+            id,
+            subject: session.subject,
+            transport: session.transport,
+            createdAt: new Date(session.createdAt).toISOString(),
+            lastActiveAt: new Date(session.lastActiveAt).toISOString(),
+            ageSeconds: Math.round((now - session.createdAt) / 1000),
+            idleSeconds: Math.round((now - session.lastActiveAt) / 1000),
+            calls: session.calls
+        }));
+    }
+
+    // Close one session; resolves false when there is no such session
+    async terminate(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            return false;
+        }
+        this.sessions.delete(id);
+        await session.close();
+        return true;
+    }
+
+    // Close every session, or every session of `subject`; resolves to the
+    // number closed
+    async terminateAll({ subject } = {}) {
+        const ids = [...this.sessions].filter(([, session]) => subject === undefined || session.subject === subject).map(([id]) => id);
+        await Promise.all(ids.map((id) => this.terminate(id)));
+        return ids.length;
+    }
+
+    // Close sessions past the idle or absolute timeout
+    sweep() {
+        const now = Date.now();
+        for (const [id, session] of this.sessions) {
+            const reason = now - session.createdAt >= this.maxAgeMs ? "max_age"
+                : now - session.lastActiveAt >= this.idleTimeoutMs ? "idle" : undefined;
+            if (reason) {
+                logger.notice("session_expired", { sessionId: id, subject: session.subject, reason });
+                this.terminate(id).catch((error) => logger.error("session_close_failed", { sessionId: id, error }));
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+// Count the tool calls of one session's McpServer against its session
+export function countSessionCalls(server, sessions) {
+    onToolCall(server, ({ extra }) => sessions.toolCalled(extra?.sessionId));
+}
@@ -0,0 +1,113 @@
+import { constants } from "node:os";
+import { logger } from "./logger.js";
+import { onToolCall } from "./tool-calls.js";
+
+// =============================================================================
+// Graceful shutdown and connection draining (REQ-UPDATE-002)
+// =============================================================================
+//
+// On SIGTERM or SIGINT the server stops accepting sessions, gives running
+// tool calls until the grace period ends, closes every transport, flushes
+// its writers and exits. A second signal exits at once.
+
+// Process exit codes of a shutdown
+export const EXIT_CODES = {
+    clean: 0,
+    failed: 1, // a shutdown step threw
+    abandoned: 2 // tool calls were still running when the grace period ended
+};
+
+// Tool calls that have started and not yet finished
+export class InFlight {
+    constructor() {
+        this.calls = new Set();
+    }
+
+    get size() {
+        return this.calls.size;
+    }
+
+    track(promise) {
+        this.calls.add(promise);
+        const done = () => this.calls.delete(promise);
+        promise.then(done, done);
+        return promise;
+    }
+
+    // Resolves true once every call has finished, or false after `timeoutMs`
+    async drain(timeoutMs) {
+        let timer;
+        const deadline = new Promise((resolve) => {
+            timer = setTimeout(() => resolve(false), timeoutMs);
+        });
+        const drained = (async () => {
+            while (this.calls.size > 0) {
+                await Promise.allSettled([...this.calls]);
+            }
+            return true;
+        })();
+        try {
+            return await Promise.race([drained, deadline]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Track the tool calls of one session's McpServer in `inFlight`
+export function trackToolCalls(server, inFlight) {
+    onToolCall(server, ({ done }) => inFlight.track(done));
+}
+
+// Build the shutdown sequence. Each step may be async; a failing step is
+// logged and the sequence carries on. Returns `shutdown(reason)`, which runs
+// the sequence once however often it is called.
+export function createShutdown({ gracePeriodMs, inFlight, stopAccepting = () => {}, closeSessions, flush, exit = process.exit }) {
+    let running;
+
+    const run = async (reason) => {
+        // At warning, so sessions receive it at their default logging level
+        logger.warning("shutdown_started", { reason, gracePeriodMs, toolCalls: inFlight.size });
+        let code = EXIT_CODES.clean;
+        const step = async (name, action) => {
+            try {
+                await action();
+            } catch (error) {
+                code = EXIT_CODES.failed;
+                logger.error("shutdown_step_failed", { step: name, error });
+            }
+        };
+
+        await step("stop accepting sessions", stopAccepting);
+        if (!(await inFlight.drain(gracePeriodMs))) {
+            code = EXIT_CODES.abandoned;
+            logger.warning("shutdown_abandoned_calls", { toolCalls: inFlight.size, gracePeriodMs });
+        }
+        await step("close sessions", closeSessions);
+        await step("flush writers", flush);
+
+        logger.notice("shutdown_complete", { exitCode: code });
+        await logger.flush();
+        exit(code);
+    };
+
+    return (reason) => {
+        running ??= run(reason);
+        return running;
+    };
+}
+
+// Run `shutdown` on SIGTERM and SIGINT; a second signal exits immediately
+// with the conventional 128 + signal number
+export function onShutdownSignals(shutdown, { signals = ["SIGTERM", "SIGINT"] } = {}) {
+    let received = false;
+    for (const signal of signals) {
+        process.on(signal, () => {
+            if (received) {
+                process.exit(128 + constants.signals[signal]);
+            }
+            received = true;
+            shutdown(signal);
+        });
+    }
+}
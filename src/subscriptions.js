@@ -0,0 +1,86 @@
+import { ErrorCode, McpError, SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { readResource } from "./resources.js";
+
+// =============================================================================
+// Resource subscriptions (resources/subscribe, notifications/resources/updated)
+// =============================================================================
+//
+// Data sources publish the URI of whatever changed to one shared
+// ResourceChanges; every session forwards the changes it subscribed to as
+// `notifications/resources/updated`. A subscription to a paged URI such as
+// `history://session/<id>?limit=10` is notified when its base URI changes.
+
+export class ResourceChanges {
+    constructor() {
+        this.listeners = new Set();
+        this.timers = [];
+    }
+
+    publish(uri) {
+        for (const listener of this.listeners) {
+            listener(uri);
+        }
+    }
+
+    // Returns a function that stops listening
+    listen(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Publish `uri` every `intervalMs`, for data that changes all the time
+    publishEvery(uri, intervalMs) {
+        const timer = setInterval(() => this.publish(uri), intervalMs);
+        timer.unref();
+        this.timers.push(timer);
+    }
+
+    close() {
+        this.timers.forEach(clearInterval);
+        this.timers = [];
+        this.listeners.clear();
+    }
+}
+
+const baseOf = (uri) => uri.split("?")[0];
+
+// Serve resources/subscribe and resources/unsubscribe on one session's
+// McpServer. A session may only subscribe to a resource it can read right
+// now; its subscriptions are dropped when its transport closes.
+export function serveSubscriptions(server, changes) {
+    const subscribed = new Set();
+    let stopListening;
+
+    const forward = (changed) => {
+        for (const uri of subscribed) {
+            if (baseOf(uri) === changed) {
+                server.server.sendResourceUpdated({ uri }).catch((error) => server.server.onerror?.(error));
+            }
+        }
+    };
+
+    server.server.registerCapabilities({ resources: { subscribe: true } });
+
+    server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }, extra) => {
+        try {
+            await readResource(server, params.uri, extra);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, `Can't subscribe to ${params.uri}: ${error.message}`);
+        }
+        subscribed.add(params.uri);
+        stopListening ??= changes.listen(forward);
+        return {};
+    });
+
+    server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+        subscribed.delete(params.uri);
+        return {};
+    });
+
+    const onclose = server.server.onclose;
+    server.server.onclose = () => {
+        subscribed.clear();
+        stopListening?.();
+        onclose?.();
+    };
+}
@@ -0,0 +1,47 @@
+import { performance } from "node:perf_hooks";
+
+// =============================================================================
+// One hook around the tool calls of a session's McpServer
+// =============================================================================
+//
+// Auditing, session recording, metrics, logging, shutdown's in-flight
+// tracking and session activity all observe every tool call. They subscribe
+// here rather than each wrapping `registerTool`, so none of them depends on
+// the order the others were set up in. The hook wraps `registerTool` once,
+// for the first subscriber, which must come before any tool is registered.
+
+const hooks = new WeakMap(); // McpServer -> listeners of its tool calls
+
+// `listener(call)` runs as each tool call starts, before the tool's callback,
+// with `{ name, input, extra, done }`. `done` never rejects: it resolves to
+// `{ result, durationMs }` or `{ error, durationMs }` once the callback settles.
+export function onToolCall(server, listener) {
+    if (!hooks.has(server)) {
+        hooks.set(server, hookToolCalls(server));
+    }
+    hooks.get(server).push(listener);
+}
+
+function hookToolCalls(server) {
+    const listeners = [];
+
+    const registerTool = server.registerTool.bind(server);
+    server.registerTool = (name, config, callback) => registerTool(name, config, (...args) => {
+        const started = performance.now();
+        const outcome = Promise.resolve().then(() => callback(...args));
+        const call = {
+            name,
+            // Tools without an input schema are called with `extra` alone
+            input: args.length > 1 ? args[0] : {},
+            extra: args[args.length - 1],
+            done: outcome.then(
+                (result) => ({ result, durationMs: performance.now() - started }),
+                (error) => ({ error, durationMs: performance.now() - started })
+            )
+        };
+        listeners.forEach((listener) => listener(call));
+        return outcome;
+    });
+
+    return listeners;
+}
@@ -0,0 +1,19 @@
+// =============================================================================
+// Tool result helpers: structured content plus a text rendering for clients
+// that don't read `structuredContent`
+// =============================================================================
+
+export const toolResult = (structuredContent, text = JSON.stringify(structuredContent, null, 2)) => ({
+    content: [{ type: "text", text }],
+    structuredContent
+});
+
+// Failed call. `code` is a stable machine-readable identifier carried in
+// `_meta.error`: clients validate `structuredContent` against the tool's
+// output schema even on errors, so it can't go there. The text keeps the
+// "Error: ..." form older clients already look for.
+export const toolError = (code, message, details = {}) => ({
+    isError: true,
+    content: [{ type: "text", text: `Error: ${message}` }],
+    _meta: { error: { code, message, ...details } }
+});
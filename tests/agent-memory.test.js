@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { AgentMemoryStore } from "../src/agent-memory.js";
+import { AtRestEncryption, generateKey, keyIdOf } from "../src/encryption.js";
+
+const root = mkdtempSync(join(tmpdir(), "knoxboss-memory-"));
+
+const encryptionWith = (key) => new AtRestEncryption({ active: keyIdOf(key), keys: new Map([[keyIdOf(key), key]]) });
+
+describe("Agent memory store", () => {
+    after(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it("keeps every one of many concurrent appends", async () => {
+        const store = new AgentMemoryStore({ root });
+        const discoveries = Array.from({ length: 20 }, (_, index) => `- discovery ${index}`);
+        await Promise.all(discoveries.map((line) => store.store("agent_001", "knowledge", line, { append: true })));
+
+        const lines = (await store.get("agent_001", "knowledge")).split("\n");
+        assert.deepEqual(lines.sort(), [...discoveries].sort());
+    });
+
+    it("refuses to append to a file it can't read, instead of replacing it", async () => {
+        const key = generateKey();
+        await new AgentMemoryStore({ root, encryption: encryptionWith(key) }).store("agent_002", "knowledge", "# Secret notes");
+        const path = join(root, "agents", "agent_002", "knowledge.md");
+        const before = readFileSync(path, "utf8");
+
+        const store = new AgentMemoryStore({ root, encryption: encryptionWith(generateKey()) });
+        await assert.rejects(store.store("agent_002", "knowledge", "- appended", { append: true }), { code: "UNKNOWN_KEY" });
+        assert.equal(readFileSync(path, "utf8"), before);
+    });
+
+    it("rejects a store without a value", async () => {
+        const store = new AgentMemoryStore({ root });
+        await assert.rejects(store.store("agent_003", "tasks", undefined), { code: "INVALID_VALUE" });
+        await assert.rejects(store.get("agent_003", "tasks"), { code: "NOT_FOUND" });
+    });
+});
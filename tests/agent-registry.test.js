@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { AgentMemoryStore } from "../src/agent-memory.js";
+import { AgentRegistry } from "../src/agent-registry.js";
+import { registerAgentTools } from "../src/agent-tools.js";
+import { BUILT_IN_ROLES, FORBIDDEN, createPolicy, enforcePolicy } from "../src/rbac.js";
+
+const dir = mkdtempSync(join(tmpdir(), "knoxboss-agents-"));
+let roots = 0;
+
+// A registry over a memory root of its own
+const registryIn = (options = {}) => {
+    const store = new AgentMemoryStore({ root: join(dir, `memory-${++roots}`) });
+    return { store, registry: new AgentRegistry({ store, ...options }) };
+};
+
+const stateOf = (store, agentId) => JSON.parse(readFileSync(join(store.directoryOf(agentId), "state.json"), "utf8"));
+
+// The agent_* tools for `identity`, under the built-in roles, connected to a client
+const toolsFor = async (identity, registry) => {
+    const server = new McpServer({ name: "test", version: "0" });
+    enforcePolicy(server, identity, createPolicy(BUILT_IN_ROLES));
+    registerAgentTools(server, { identity, registry });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: "test", version: "0" });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    return client;
+};
+
+describe("Agent registry", () => {
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("registers agents under the next free agent_NNN and keeps state.json current", async () => {
+        const { store, registry } = registryIn();
+        const first = await registry.register({ name: "Scout", registeredBy: "ops" });
+        const second = await registry.register({ type: "worker", capabilities: ["math"], registeredBy: "ops" });
+        assert.deepEqual([first.agentId, second.agentId], ["agent_001", "agent_002"]);
+        assert.equal(stateOf(store, "agent_001").status, "idle");
+        assert.deepEqual(stateOf(store, "agent_002").capabilities, ["math"]);
+
+        await registry.updateStatus("agent_001", { status: "busy", note: "crunching" });
+        assert.equal(stateOf(store, "agent_001").status, "busy");
+        assert.equal(stateOf(store, "agent_001").statusNote, "crunching");
+
+        await assert.rejects(registry.register({ agentId: "agent_001" }), { code: "AGENT_EXISTS" });
+        await assert.rejects(registry.register({ agentId: "shared" }), { code: "RESERVED_AGENT_ID" });
+        await assert.rejects(registry.updateStatus("agent_009", { status: "busy" }), { code: "AGENT_NOT_FOUND" });
+        await registry.close();
+    });
+
+    it("hands out distinct ids to concurrent registrations", async () => {
+        const { registry } = registryIn();
+        const agents = await Promise.all(Array.from({ length: 5 }, () => registry.register({ registeredBy: "ops" })));
+        assert.deepEqual(agents.map(({ agentId }) => agentId).sort(), ["agent_001", "agent_002", "agent_003", "agent_004", "agent_005"]);
+        await registry.close();
+    });
+
+    it("terminates agents, hides them from the list and refuses further changes", async () => {
+        const { store, registry } = registryIn({ retention: "keep" });
+        await registry.register({ registeredBy: "ops" });
+        await registry.register({ registeredBy: "ops" });
+
+        const terminated = await registry.terminate("agent_001", { reason: "done", terminatedBy: "ops" });
+        assert.equal(terminated.status, "terminated");
+        assert.ok(terminated.terminatedAt);
+        assert.equal(stateOf(store, "agent_001").status, "terminated");
+        assert.deepEqual((await registry.list()).map(({ agentId }) => agentId), ["agent_002"]);
+        assert.deepEqual((await registry.list({ includeTerminated: true })).map(({ agentId }) => agentId).sort(), ["agent_001", "agent_002"]);
+
+        await assert.rejects(registry.updateStatus("agent_001", { status: "active" }), { code: "AGENT_TERMINATED" });
+        await assert.rejects(registry.terminate("agent_001", {}), { code: "AGENT_TERMINATED" });
+        assert.deepEqual(await registry.applyRetention(), []);
+        await registry.close();
+    });
+
+    it("archives or deletes terminated agents once their retention is over, without reusing their ids", async () => {
+        const archived = registryIn({ retention: "archive", retentionDays: 0 });
+        await archived.registry.register({ registeredBy: "ops" });
+        await archived.registry.terminate("agent_001", { terminatedBy: "ops" });
+        assert.deepEqual(await archived.registry.applyRetention(), ["agent_001"]);
+        assert.ok(!existsSync(archived.store.directoryOf("agent_001")));
+        assert.match(readdirSync(join(archived.store.root, "archive", "agents"))[0], /^agent_001-/);
+        assert.equal((await archived.registry.register({ registeredBy: "ops" })).agentId, "agent_002");
+        await archived.registry.close();
+
+        const deleted = registryIn({ retention: "delete", retentionDays: 0 });
+        await deleted.registry.register({ registeredBy: "ops" });
+        await deleted.registry.terminate("agent_001", { terminatedBy: "ops" });
+        assert.deepEqual(await deleted.registry.applyRetention(), ["agent_001"]);
+        assert.ok(!existsSync(deleted.store.directoryOf("agent_001")));
+        assert.ok(!existsSync(join(deleted.store.root, "archive")));
+        await deleted.registry.close();
+    });
+
+    it("lets only authorized identities spawn agents, and agents change only themselves", async () => {
+        const { registry } = registryIn();
+
+        const user = await toolsFor({ subject: "bob", roles: ["user"] }, registry);
+        await assert.rejects(user.callTool({ name: "agent_register", arguments: {} }), { code: FORBIDDEN });
+
+        const operator = await toolsFor({ subject: "ops", roles: ["operator"] }, registry);
+        const registered = await operator.callTool({ name: "agent_register", arguments: { name: "Scout" } });
+        assert.equal(registered.structuredContent.agent.agentId, "agent_001");
+        assert.equal(registered.structuredContent.agent.registeredBy, "ops");
+        await operator.callTool({ name: "agent_register", arguments: {} });
+
+        const agent = await toolsFor({ subject: "agent_001", roles: ["agent"], agentId: "agent_001" }, registry);
+        const updated = await agent.callTool({ name: "agent_update_status", arguments: { status: "active" } });
+        assert.equal(updated.structuredContent.agent.status, "active");
+        const denied = await agent.callTool({ name: "agent_update_status", arguments: { agentId: "agent_002", status: "paused" } });
+        assert.equal(denied._meta.error.code, "ACCESS_DENIED");
+
+        const terminated = await operator.callTool({ name: "agent_terminate", arguments: { agentId: "agent_002", reason: "done" } });
+        assert.equal(terminated.structuredContent.agent.status, "terminated");
+        await registry.close();
+    });
+});
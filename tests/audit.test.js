@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { appendFileSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, beforeEach, describe, it } from "node:test";
+import { createAuditLog, verifyAuditLog } from "../src/audit.js";
+
+const dir = mkdtempSync(join(tmpdir(), "knoxboss-audit-"));
+let path;
+let count = 0;
+
+// Append `entries` entries with a fresh audit log instance, as a server run would
+const run = async (entries) => {
+    const audit = createAuditLog({ path });
+    for (let index = 0; index < entries; index++) {
+        audit.record({ method: "tools/call", target: "add" });
+    }
+    await audit.flush();
+};
+
+const lines = () => readFileSync(path, "utf8").split("\n").filter(Boolean);
+
+describe("Audit log", () => {
+    beforeEach(() => {
+        path = join(dir, `audit-${++count}.jsonl`);
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("verifies a chain written over several server runs", async () => {
+        await run(3);
+        await run(2);
+        const report = verifyAuditLog(path);
+        assert.deepEqual(report.problems, []);
+        assert.equal(report.entries, 5);
+        assert.equal(report.headChecked, true);
+    });
+
+    it("detects an edited entry", async () => {
+        await run(3);
+        const edited = lines().map((line, index) => (index === 1 ? line.replace('"add"', '"multiply"') : line));
+        writeFileSync(path, `${edited.join("\n")}\n`);
+        assert.match(verifyAuditLog(path).problems[0].problem, /hash mismatch/);
+    });
+
+    it("detects entries deleted from the end", async () => {
+        await run(9);
+        writeFileSync(path, `${lines().slice(0, 5).join("\n")}\n`);
+        const { problems } = verifyAuditLog(path);
+        assert.equal(problems.length, 1);
+        assert.match(problems[0].problem, /ends at #5 but the recorded head is #9/);
+    });
+
+    it("keeps the gap visible when a server restarts on a truncated log", async () => {
+        await run(9);
+        writeFileSync(path, `${lines().slice(0, 5).join("\n")}\n`);
+        await run(1);
+
+        const entry = JSON.parse(lines().at(-1));
+        assert.equal(entry.seq, 10);
+        assert.ok(verifyAuditLog(path).problems.some(({ problem }) => /sequence jumps from 5 to 10/.test(problem)));
+    });
+
+    it("starts on a log whose last line was cut short, and carries on after it", async () => {
+        await run(2);
+        appendFileSync(path, '{"seq":3,"timest');
+        await run(1);
+
+        const { problems } = verifyAuditLog(path);
+        assert.deepEqual(problems, [{ line: 3, problem: "not valid JSON" }]);
+        assert.equal(JSON.parse(lines().at(-1)).seq, 3);
+    });
+});
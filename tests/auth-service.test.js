@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { AuthError } from "../src/auth.js";
+import { createAuthServiceClient } from "../src/auth-service.js";
+import { startFakeAuthService } from "./helpers/fake-auth-service.js";
+
+describe("Auth service client", () => {
+    let fake;
+    const clients = [];
+    const clientFor = (options = {}) => {
+        const client = createAuthServiceClient({ baseUrl: fake.url, ...options });
+        clients.push(client);
+        return client;
+    };
+
+    before(async () => {
+        fake = await startFakeAuthService({
+            users: Object.fromEntries(["t1", "t2", "t3"].map((token, index) => [token, { id: index + 1, email: `${token}@example.com`, roles: ["user"] }]))
+        });
+    });
+
+    beforeEach(() => {
+        fake.requests.length = 0;
+        fake.status = undefined;
+        fake.loggedOut.clear();
+    });
+
+    after(async () => {
+        clients.forEach((client) => client.close());
+        await fake.close();
+    });
+
+    it("maps a validation onto an identity", async () => {
+        const identity = await clientFor().validate("t1");
+        assert.equal(identity.subject, "1");
+        assert.equal(identity.username, "t1@example.com");
+        assert.deepEqual(identity.roles, ["user"]);
+    });
+
+    it("answers repeated validations from its cache", async () => {
+        const client = clientFor();
+        await client.validate("t1");
+        await client.validate("t1");
+        assert.equal(fake.validations(), 1);
+    });
+
+    it("rejects a token the service refuses", async () => {
+        await assert.rejects(clientFor().validate("unknown"), (error) => error instanceof AuthError && error.code === "invalid_token");
+    });
+
+    it("reports 5xx answers and unreachable services as unavailable", async () => {
+        fake.status = 503;
+        await assert.rejects(clientFor().validate("t1"), { code: "unavailable" });
+        fake.status = undefined;
+
+        const unreachable = createAuthServiceClient({ baseUrl: "http://127.0.0.1:1", timeoutMs: 500 });
+        clients.push(unreachable);
+        await assert.rejects(unreachable.validate("t1"), { code: "unavailable" });
+        await assert.rejects(unreachable.health(), { code: "unavailable" });
+    });
+
+    it("keeps at most maxCacheEntries validations, evicting the oldest", async () => {
+        const client = clientFor({ maxCacheEntries: 2 });
+        await client.validate("t1");
+        await client.validate("t2");
+        await client.validate("t3");
+        assert.equal(fake.validations(), 3);
+
+        await client.validate("t3");
+        assert.equal(fake.validations(), 3);
+        await client.validate("t1");
+        assert.equal(fake.validations(), 4);
+    });
+
+    it("validates again once a cached entry expires", async () => {
+        const client = clientFor({ cacheTtlMs: 20 });
+        await client.validate("t1");
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        await client.validate("t1");
+        assert.equal(fake.validations(), 2);
+    });
+
+    it("forgets a token on logout", async () => {
+        const client = clientFor();
+        await client.validate("t1");
+        await client.logout("t1");
+        await assert.rejects(client.validate("t1"), AuthError);
+        assert.equal(fake.requests.find(({ path }) => path === "/api/v1/auth/logout").authorization, "Bearer t1");
+    });
+
+    it("exchanges refresh tokens", async () => {
+        const client = clientFor();
+        assert.deepEqual(await client.refresh("refresh-ok"), { access_token: "new-access", refresh_token: "new-refresh" });
+        await assert.rejects(client.refresh("stale"), { message: "Invalid refresh token" });
+    });
+
+    it("checks the service's health endpoint", async () => {
+        assert.deepEqual(await clientFor().health(), { status: "healthy" });
+    });
+});
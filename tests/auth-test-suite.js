@@ -1,6 +1,8 @@
 /**
  * Authentication Test Suite for knoxBoss MCP Server
  * Comprehensive testing framework for authentication security and performance
+ *
+ * The integration cases below run for real in tests/auth.test.js (`npm test`).
  */
 
 const request = require('supertest');
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { keys, openSession, openSseSession, postMcp, readMessage, signToken, startServer } from "./helpers/server.js";
+
+// The runnable form of the integration cases in auth-test-suite.js: MCP
+// routes need a valid RS256 bearer token, and a session belongs to the
+// identity that opened it.
+
+const callCalculate = { jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "calculate", arguments: { operation: "add", a: 1, b: 2 } } };
+
+describe("Bearer token authentication", () => {
+    let server;
+
+    before(async () => {
+        // Enough failures allowed that these cases don't lock each other out
+        server = await startServer({ env: { MCP_AUTH_LOCKOUT_THRESHOLD: "100" } });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const rejection = async (token) => {
+        const response = await postMcp(server.url, callCalculate, { token });
+        return { status: response.status, challenge: response.headers.get("www-authenticate"), body: await response.json() };
+    };
+
+    it("answers 401 with a Bearer challenge when there is no token", async () => {
+        const { status, challenge } = await rejection(undefined);
+        assert.equal(status, 401);
+        assert.match(challenge, /^Bearer realm="knoxBoss"/);
+    });
+
+    it("lets a valid token call a tool", async () => {
+        const token = signToken({ sub: "alice", role: "user" });
+        const sessionId = await openSession(server.url, token);
+        const response = await postMcp(server.url, callCalculate, { token, sessionId });
+        assert.equal(response.status, 200);
+        assert.equal((await readMessage(response)).result.structuredContent.result, 3);
+    });
+
+    it("refuses unsigned tokens (alg none)", async () => {
+        const { status, body } = await rejection(signToken({ sub: "alice", role: "admin" }, { alg: "none" }));
+        assert.equal(status, 401);
+        assert.match(body.reason, /Unsupported token algorithm: none/);
+    });
+
+    it("refuses HS256 tokens, even when signed with the public key as the secret", async () => {
+        const secret = keys.publicKey.export({ type: "spki", format: "pem" });
+        const { status, body } = await rejection(signToken({ sub: "alice", role: "admin" }, { alg: "HS256", secret }));
+        assert.equal(status, 401);
+        assert.match(body.reason, /Unsupported token algorithm: HS256/);
+    });
+
+    it("refuses tokens signed by another key", async () => {
+        const token = signToken({ sub: "alice", role: "user" });
+        const [header, payload] = token.split(".");
+        const forged = `${header}.${payload}.${Buffer.from("forged").toString("base64url")}`;
+        const { status, body } = await rejection(forged);
+        assert.equal(status, 401);
+        assert.match(body.reason, /Invalid token signature/);
+    });
+
+    it("refuses expired tokens", async () => {
+        const { status, body } = await rejection(signToken({ sub: "alice", role: "user", exp: Math.floor(Date.now() / 1000) - 3600 }));
+        assert.equal(status, 401);
+        assert.match(body.reason, /Token expired/);
+    });
+
+    it("answers 403 when another identity uses a Streamable HTTP session", async () => {
+        const sessionId = await openSession(server.url, signToken({ sub: "alice", role: "user" }));
+        const response = await postMcp(server.url, callCalculate, { token: signToken({ sub: "mallory", role: "user" }), sessionId });
+        assert.equal(response.status, 403);
+        assert.deepEqual(await response.json(), { error: "Session belongs to another identity" });
+    });
+
+    it("answers 403 when another identity posts to an SSE session's /messages", async () => {
+        const session = await openSseSession(server.url, signToken({ sub: "alice", role: "user" }));
+        try {
+            const response = await fetch(`${server.url}/messages?sessionId=${session.sessionId}`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", Authorization: `Bearer ${signToken({ sub: "mallory", role: "user" })}` },
+                body: JSON.stringify(callCalculate)
+            });
+            assert.equal(response.status, 403);
+        } finally {
+            session.close();
+        }
+    });
+});
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { openSession, postMcp, readMessage, signToken, startServer } from "./helpers/server.js";
+
+// The runnable form of the brute-force and rate-limit cases in
+// security-penetration-tests.js
+
+const initialize = { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "test", version: "0" } } };
+const callAdd = (id) => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name: "add", arguments: { a: 1, b: 2 } } });
+
+const timed = async (request) => {
+    const started = performance.now();
+    const response = await request();
+    await response.body?.cancel();
+    return { status: response.status, retryAfter: response.headers.get("retry-after"), ms: performance.now() - started };
+};
+
+describe("Brute-force protection", () => {
+    let server;
+    const forged = signToken({ sub: "alice", role: "admin" }, { alg: "HS256" });
+
+    before(async () => {
+        server = await startServer({ env: { MCP_AUTH_LOCKOUT_THRESHOLD: "5", MCP_AUTH_LOCKOUT_MINUTES: "1" } });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it("slows down, then locks out, a client sending invalid tokens", async () => {
+        const attempts = [];
+        for (let attempt = 0; attempt < 6; attempt++) {
+            attempts.push(await timed(() => postMcp(server.url, initialize, { token: forged })));
+        }
+
+        assert.deepEqual(attempts.map(({ status }) => status), [401, 401, 401, 401, 401, 423]);
+        assert.ok(attempts[3].ms >= 250, `4th failure answered after ${attempts[3].ms}ms`);
+        assert.ok(attempts[4].ms >= 500, `5th failure answered after ${attempts[4].ms}ms`);
+        assert.ok(Number(attempts[5].retryAfter) > 0);
+    });
+
+    it("still accepts valid tokens from the locked-out address", async () => {
+        const locked = await timed(() => postMcp(server.url, initialize, { token: forged }));
+        assert.equal(locked.status, 423);
+
+        const sessionId = await openSession(server.url, signToken({ sub: "bob", role: "user" }));
+        assert.ok(sessionId);
+    });
+
+    it("keeps the lockout after a valid token from the same address", async () => {
+        const locked = await timed(() => postMcp(server.url, initialize, { token: forged }));
+        assert.equal(locked.status, 423);
+    });
+});
+
+describe("Rate limits", () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ env: { MCP_RATE_LIMIT_IDENTITY: "4", MCP_RATE_LIMIT_TOOLS: "add=2" } });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it("answers -32029 once an identity exceeds a tool's budget", async () => {
+        const token = signToken({ sub: "carol", role: "user" });
+        const sessionId = await openSession(server.url, token);
+
+        const answers = [];
+        for (let id = 2; id <= 4; id++) {
+            answers.push(await readMessage(await postMcp(server.url, callAdd(id), { token, sessionId })));
+        }
+        assert.equal(answers[0].result.structuredContent.result, 3);
+        assert.equal(answers[1].result.structuredContent.result, 3);
+        assert.equal(answers[2].error.code, -32029);
+        assert.ok(answers[2].error.data.retryAfterMs > 0);
+    });
+
+    it("answers 429 with Retry-After once an identity exceeds its HTTP budget, without affecting others", async () => {
+        const token = signToken({ sub: "dave", role: "user" });
+        const statuses = [];
+        for (let attempt = 0; attempt < 5; attempt++) {
+            statuses.push((await timed(() => postMcp(server.url, initialize, { token }))).status);
+        }
+        assert.deepEqual(statuses, [200, 200, 200, 200, 429]);
+
+        const other = await timed(() => postMcp(server.url, initialize, { token: signToken({ sub: "erin", role: "user" }) }));
+        assert.equal(other.status, 200);
+    });
+});
+
+describe("Rate limits behind authorization", () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ env: { MCP_RATE_LIMIT_TOOLS: "add=2" } });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it("answers forbidden calls with -32003 without spending the tool's budget", async () => {
+        const guest = signToken({ sub: "frank", role: "guest" });
+        const guestSession = await openSession(server.url, guest);
+        for (let id = 2; id <= 4; id++) {
+            const answer = await readMessage(await postMcp(server.url, callAdd(id), { token: guest, sessionId: guestSession }));
+            assert.equal(answer.error.code, -32003);
+        }
+
+        // The same subject, once allowed, still has its whole budget
+        const user = signToken({ sub: "frank", role: "user" });
+        const userSession = await openSession(server.url, user);
+        for (let id = 2; id <= 3; id++) {
+            const answer = await readMessage(await postMcp(server.url, callAdd(id), { token: user, sessionId: userSession }));
+            assert.equal(answer.result.structuredContent.result, 3);
+        }
+    });
+});
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { openSession, postMcp, readMessage, signToken, startServer } from "./helpers/server.js";
+
+// Tool argument completion is a knoxBoss extension to MCP (`ref/tool`);
+// prompt completion is the standard `ref/prompt`, answered by the SDK
+
+const complete = (id, ref, argument) => ({ jsonrpc: "2.0", id, method: "completion/complete", params: { ref, argument } });
+
+describe("Argument completion", () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const ask = async (role, message) => {
+        const token = signToken({ sub: `${role}-completions`, role });
+        const sessionId = await openSession(server.url, token);
+        return readMessage(await postMcp(server.url, message, { token, sessionId }));
+    };
+
+    it("completes a tool's completable argument through ref/tool", async () => {
+        const answer = await ask("user", complete(2, { type: "ref/tool", name: "calculate" }, { name: "operation", value: "mu" }));
+        assert.deepEqual(answer.result.completion, { values: ["multiply"], total: 1, hasMore: false });
+    });
+
+    it("answers invalid params to a malformed ref/tool request", async () => {
+        const answer = await ask("user", complete(2, { type: "ref/tool", name: "calculate" }, { name: "operation" }));
+        assert.equal(answer.error.code, -32602);
+        assert.match(answer.error.message, /Invalid ref\/tool completion request/);
+    });
+
+    it("reports a tool the session's roles don't allow as not found", async () => {
+        const answer = await ask("guest", complete(2, { type: "ref/tool", name: "calculate" }, { name: "operation", value: "" }));
+        assert.equal(answer.error.code, -32602);
+        assert.equal(answer.error.message, "Tool calculate not found");
+    });
+
+    it("leaves standard prompt completion to the SDK", async () => {
+        const answer = await ask("user", complete(2, { type: "ref/prompt", name: "explain-calculation" }, { name: "audience", value: "st" }));
+        assert.deepEqual(answer.result.completion.values, ["student"]);
+    });
+});
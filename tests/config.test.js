@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { SERVER_DIR, loadConfig } from "../src/config.js";
+
+const dir = mkdtempSync(join(tmpdir(), "knoxboss-config-"));
+
+describe("Configuration", () => {
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("resolves default storage paths from the server directory whatever the working directory", () => {
+        const envFile = join(dir, "stdio.env");
+        writeFileSync(envFile, "MCP_TRANSPORT=stdio\n");
+        const cwd = process.cwd();
+        process.chdir(dir);
+        try {
+            const { storage } = loadConfig({ argv: [], env: {}, envFile });
+            assert.equal(storage.memoryDir, join(SERVER_DIR, "memory"));
+            assert.equal(storage.aclFile, join(SERVER_DIR, "memory", "acl.json"));
+            assert.equal(storage.auditLog, join(SERVER_DIR, "logs", "audit.jsonl"));
+            assert.equal(storage.promptsDir, join(SERVER_DIR, "prompts"));
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+
+    it("reads KEY=value lines, keeping variables that are already set", () => {
+        const envFile = join(dir, ".env");
+        writeFileSync(envFile, [
+            "# comment",
+            "MCP_TRANSPORT=stdio",
+            "export MCP_LOG_LEVEL=\"debug\"",
+            "MCP_MEMORY_DIR=data # inline comment",
+            "MCP_PROMPTS_DIR=from-file"
+        ].join("\n"));
+        const env = { MCP_PROMPTS_DIR: "from-env" };
+
+        const config = loadConfig({ argv: [], env, envFile });
+        assert.equal(config.transport, "stdio");
+        assert.equal(config.logging.level, "debug");
+        assert.equal(config.storage.memoryDir, "data");
+        assert.equal(config.storage.promptsDir, "from-env");
+    });
+});
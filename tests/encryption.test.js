@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { promisify } from "node:util";
+import { AgentMemoryStore } from "../src/agent-memory.js";
+import { AtRestEncryption, addKeyToFile, generateKey, keepTreeEncrypted, keyIdOf, readKeyFile, reencryptTree } from "../src/encryption.js";
+
+const dir = mkdtempSync(join(tmpdir(), "knoxboss-encryption-"));
+
+const rotateKey = (args, keyFile) => promisify(execFile)(process.execPath, ["scripts/rotate-memory-key.js", ...args], {
+    env: { ...process.env, MCP_ENCRYPTION_KEY_FILE: keyFile }
+}).then(() => 0, (error) => error.code);
+
+describe("Encryption key rotation", () => {
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("keeps appends made while a file is re-encrypted", async () => {
+        const root = join(dir, "appends");
+        const [first, second] = [generateKey(), generateKey()];
+        const encryption = new AtRestEncryption({ active: keyIdOf(first), keys: new Map([[keyIdOf(first), first], [keyIdOf(second), second]]) });
+        const store = new AgentMemoryStore({ root, encryption });
+        await store.store("agent_001", "knowledge", "# Notes");
+
+        encryption.active = keyIdOf(second);
+        const appends = Array.from({ length: 20 }, (_, index) => store.store("agent_001", "knowledge", `- note ${index}`, { append: true }));
+        const report = await reencryptTree(root, encryption);
+        await Promise.all(appends);
+
+        assert.deepEqual(report.failed, []);
+        const content = readFileSync(join(root, "agents", "agent_001", "knowledge.md"), "utf8");
+        assert.deepEqual(encryption.keyIdsOf(content), [keyIdOf(second)]);
+        assert.equal((await store.get("agent_001", "knowledge")).split("\n").length, 21);
+    });
+
+    it("retires the previous keys only once the server has re-encrypted under the active one", async () => {
+        const root = join(dir, "retire");
+        const keyFile = join(dir, "keys.json");
+        await addKeyToFile(keyFile);
+        const encryption = new AtRestEncryption(readKeyFile(keyFile));
+        await new AgentMemoryStore({ root, encryption }).store("agent_001", "tasks", ["rotate"]);
+
+        assert.equal(await rotateKey([], keyFile), 0);
+        assert.equal(readKeyFile(keyFile).keys.size, 2);
+        assert.equal(await rotateKey(["--retire", root], keyFile), 1);
+
+        Object.assign(encryption, readKeyFile(keyFile));
+        await keepTreeEncrypted(root, encryption).flush();
+        assert.equal(await rotateKey(["--retire", root], keyFile), 0);
+
+        const { active, keys } = readKeyFile(keyFile);
+        assert.deepEqual([...keys.keys()], [active]);
+        assert.deepEqual(await new AgentMemoryStore({ root, encryption: new AtRestEncryption({ active, keys }) }).get("agent_001", "tasks"), ["rotate"]);
+    });
+});
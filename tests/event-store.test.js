@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { InMemoryEventStore } from "../src/event-store.js";
+
+const message = (id) => ({ jsonrpc: "2.0", id, result: {} });
+
+describe("InMemoryEventStore", () => {
+    it("replays the events stored after the last one a client saw", async () => {
+        const store = new InMemoryEventStore();
+        const first = await store.storeEvent("stream", message(1));
+        await store.storeEvent("stream", message(2));
+        await store.storeEvent("other", message(3));
+
+        const replayed = [];
+        const streamId = await store.replayEventsAfter(first, { send: async (eventId, sent) => replayed.push(sent.id) });
+        assert.equal(streamId, "stream");
+        assert.deepEqual(replayed, [2]);
+    });
+
+    it("caps the events of all streams together, dropping the oldest", async () => {
+        const store = new InMemoryEventStore({ maxEvents: 10 });
+        const first = await store.storeEvent("response-0", message(0));
+        for (let index = 1; index < 50; index++) {
+            await store.storeEvent(`response-${index}`, message(index));
+        }
+
+        assert.equal(store.size, 10);
+        assert.equal(store.streams.size, 10);
+        assert.equal(await store.getStreamIdForEventId(first), undefined);
+        assert.equal(await store.replayEventsAfter(first, { send: async () => {} }), "");
+    });
+
+    it("still caps each stream on its own", async () => {
+        const store = new InMemoryEventStore({ maxEventsPerStream: 3 });
+        for (let index = 0; index < 100; index++) {
+            await store.storeEvent("stream", message(index));
+        }
+        assert.equal(store.size, 3);
+        assert.ok(store.order.length <= 2 * store.maxEvents);
+    });
+
+    it("forgets events older than maxAgeMs", async () => {
+        const store = new InMemoryEventStore({ maxAgeMs: 20 });
+        const old = await store.storeEvent("stream", message(1));
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        await store.storeEvent("fresh", message(2));
+
+        assert.equal(await store.getStreamIdForEventId(old), undefined);
+        assert.equal(store.streams.has("stream"), false);
+        assert.equal(store.size, 1);
+    });
+});
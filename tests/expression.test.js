@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ExpressionError, evaluate } from "../src/expression.js";
+
+// Assert that evaluating `source` throws an ExpressionError with `code`, and
+// with `position` when given
+const rejects = (source, code, position) => {
+    assert.throws(() => evaluate(source), (error) => {
+        assert.ok(error instanceof ExpressionError);
+        assert.equal(error.code, code);
+        if (position !== undefined) {
+            assert.equal(error.position, position);
+        }
+        return true;
+    });
+};
+
+describe("Expression evaluator", () => {
+    it("applies the usual precedence and parentheses", () => {
+        assert.equal(evaluate("1 + 2 * 3"), 7);
+        assert.equal(evaluate("(1 + 2) * 3"), 9);
+        assert.equal(evaluate("10 - 4 - 3"), 3);
+        assert.equal(evaluate("2 * 3 ^ 2"), 18);
+        assert.equal(evaluate("7 % 4 * 2"), 6);
+    });
+
+    it("makes ^ right-associative", () => {
+        assert.equal(evaluate("2 ^ 3 ^ 2"), 512);
+        assert.equal(evaluate("(2 ^ 3) ^ 2"), 64);
+        assert.equal(evaluate("2 ^ -1"), 0.5);
+    });
+
+    it("binds unary minus looser than ^", () => {
+        assert.equal(evaluate("-2 ^ 2"), -4);
+        assert.equal(evaluate("(-2) ^ 2"), 4);
+        assert.equal(evaluate("--2"), 2);
+    });
+
+    it("evaluates functions, constants and variables", () => {
+        assert.equal(evaluate("max(1, 5, 3) + sqrt(16)"), 9);
+        assert.equal(evaluate("pow(2, 10)"), 1024);
+        assert.equal(evaluate("cos(pi)"), -1);
+        assert.equal(evaluate("x * y", { x: 3, y: 4 }), 12);
+    });
+
+    it("refuses expressions nested too deeply", () => {
+        rejects(`${"(".repeat(150)}1${")".repeat(150)}`, "EXPRESSION_TOO_DEEP");
+        rejects(`${"-".repeat(150)}1`, "EXPRESSION_TOO_DEEP");
+        assert.equal(evaluate(`${"(".repeat(50)}1${")".repeat(50)}`), 1);
+    });
+
+    it("checks how many arguments a function gets", () => {
+        rejects("sqrt(1, 2)", "WRONG_ARGUMENT_COUNT", 0);
+        rejects("1 + pow(2)", "WRONG_ARGUMENT_COUNT", 4);
+        rejects("max()", "WRONG_ARGUMENT_COUNT", 0);
+        assert.throws(() => evaluate("atan2(1)"), /atan2\(\) takes 2 argument\(s\), got 1 at position 1/);
+    });
+
+    it("reports where an error was found", () => {
+        rejects("1 + * 2", "SYNTAX_ERROR", 4);
+        rejects("(1 + 2", "SYNTAX_ERROR", 6);
+        rejects("1 $ 2", "SYNTAX_ERROR", 2);
+        rejects("2 * y", "UNKNOWN_VARIABLE", 4);
+        rejects("nope(1)", "UNKNOWN_FUNCTION", 0);
+        rejects("1 / (2 - 2)", "DIVISION_BY_ZERO", 2);
+        assert.throws(() => evaluate("1 + * 2"), /Unexpected '\*' at position 5/);
+        assert.throws(() => evaluate("(1 + 2"), /Expected '\)' but found end of expression at position 7/);
+    });
+
+    it("quotes the source text of an unexpected number", () => {
+        assert.throws(() => evaluate("1..2"), /^ExpressionError: Unexpected '\.2' at position 3$/);
+        assert.throws(() => evaluate("2 1e3"), /Unexpected '1e3'/);
+    });
+
+    it("rejects results that aren't finite", () => {
+        rejects("10 ^ 400", "NON_FINITE_RESULT");
+        rejects("sqrt(-1)", "NON_FINITE_RESULT");
+    });
+});
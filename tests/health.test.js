@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { openSession, signToken, startServer } from "./helpers/server.js";
+
+describe("Readiness probe", () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ env: { MCP_MAX_SESSIONS: "1", MCP_RATE_LIMIT_IP: "6" } });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const ready = async () => {
+        const response = await fetch(`${server.url}/ready`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    it("reports the live session count without paths or other internals", async () => {
+        const { status, body } = await ready();
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body.checks).sort(), ["accepting", "memory", "sessions", "tools", "transports"]);
+        assert.equal(body.checks.tools.status, "ok");
+        assert.ok(body.checks.tools.tools > 0);
+        assert.equal(body.checks.sessions.open, 0);
+        assert.equal(body.checks.sessions.max, 1);
+        assert.deepEqual(Object.keys(body.checks.memory).sort(), ["durationMs", "status"]);
+        assert.ok(!JSON.stringify(body).includes(server.dir));
+    });
+
+    it("fails once the server can't admit another session", async () => {
+        await openSession(server.url, signToken({ sub: "alice", role: "user" }));
+        const { status, body } = await ready();
+        assert.equal(status, 503);
+        assert.equal(body.checks.sessions.status, "fail");
+        assert.equal(body.checks.sessions.error, "Session limit of 1 reached");
+    });
+
+    it("counts against the per-IP request budget", async () => {
+        const statuses = [];
+        for (let attempt = 0; attempt < 5; attempt++) {
+            statuses.push((await fetch(`${server.url}/ready`)).status);
+        }
+        assert.equal(statuses.at(-1), 429);
+    });
+});
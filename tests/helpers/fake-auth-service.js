@@ -0,0 +1,58 @@
+import { createServer } from "node:http";
+
+// =============================================================================
+// A local stand-in for the Elixir auth service's JSON API
+// =============================================================================
+//
+// `users` maps a token to the user it belongs to; any other token is
+// invalid. `status` forces every answer to that HTTP status, to simulate an
+// outage. Every request is recorded in `requests`.
+
+export async function startFakeAuthService({ users = {} } = {}) {
+    const fake = { users, requests: [], status: undefined, loggedOut: new Set() };
+
+    const server = createServer(async (req, res) => {
+        let body = "";
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        const payload = body ? JSON.parse(body) : {};
+        fake.requests.push({ method: req.method, path: req.url, payload, authorization: req.headers.authorization });
+
+        const send = (status, answer) => {
+            res.writeHead(fake.status ?? status, { "content-type": "application/json" });
+            res.end(JSON.stringify(answer));
+        };
+
+        if (req.url === "/health") {
+            send(200, { status: "healthy" });
+        } else if (req.url === "/api/v1/auth/validate") {
+            const user = fake.users[payload.token];
+            if (!user || fake.loggedOut.has(payload.token)) {
+                send(401, { success: false, error: "Invalid token" });
+                return;
+            }
+            send(200, {
+                success: true,
+                data: { valid: true, user, claims: { sub: String(user.id), exp: Math.floor(Date.now() / 1000) + 3600 } }
+            });
+        } else if (req.url === "/api/v1/auth/refresh") {
+            if (payload.refresh_token !== "refresh-ok") {
+                send(401, { success: false, error: "Invalid refresh token" });
+                return;
+            }
+            send(200, { success: true, data: { access_token: "new-access", refresh_token: "new-refresh" } });
+        } else if (req.url === "/api/v1/auth/logout") {
+            fake.loggedOut.add(req.headers.authorization?.replace(/^Bearer /, ""));
+            send(200, { success: true, message: "Logged out" });
+        } else {
+            send(404, { success: false, error: "Not found" });
+        }
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    fake.url = `http://127.0.0.1:${server.address().port}`;
+    fake.validations = () => fake.requests.filter(({ path }) => path === "/api/v1/auth/validate").length;
+    fake.close = () => new Promise((resolve) => server.close(resolve));
+    return fake;
+}
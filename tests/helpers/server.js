@@ -0,0 +1,150 @@
+import { spawn } from "node:child_process";
+import { createHmac, generateKeyPairSync, sign } from "node:crypto";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// =============================================================================
+// Test helpers: signed tokens and a real server.js on a random port
+// =============================================================================
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export const keys = generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// A compact JWT with `claims` (an hour of validity unless `exp` is given).
+// `alg` "HS256" signs with `secret` and "none" leaves the signature empty,
+// for tests that such tokens are refused.
+export function signToken(claims, { alg = "RS256", secret = "secret", kid } = {}) {
+    const header = encode({ alg, typ: "JWT", ...(kid ? { kid } : {}) });
+    const payload = encode({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims });
+    const input = `${header}.${payload}`;
+    const signature = alg === "RS256" ? sign("RSA-SHA256", Buffer.from(input), keys.privateKey).toString("base64url")
+        : alg === "HS256" ? createHmac("sha256", secret).update(input).digest("base64url")
+            : "";
+    return `${input}.${signature}`;
+}
+
+// Start server.js over HTTP with RS256 auth and everything it writes in a
+// temporary directory. Resolves once it is listening.
+export async function startServer({ env = {} } = {}) {
+    const dir = mkdtempSync(join(tmpdir(), "knoxboss-test-"));
+    const publicKey = join(dir, "public.pem");
+    writeFileSync(publicKey, keys.publicKey.export({ type: "spki", format: "pem" }));
+
+    const child = spawn(process.execPath, [join(ROOT, "server.js")], {
+        cwd: dir,
+        env: {
+            PATH: process.env.PATH,
+            MCP_TRANSPORT: "http",
+            MCP_HOST: "127.0.0.1",
+            MCP_PORT: "0",
+            MCP_AUTH: "jwt",
+            MCP_AUTH_PUBLIC_KEY: publicKey,
+            MCP_MEMORY_DIR: join(dir, "memory"),
+            MCP_AUDIT_LOG: join(dir, "logs", "audit.jsonl"),
+            MCP_PROMPTS_DIR: join(ROOT, "prompts"),
+            MCP_SHUTDOWN_GRACE_MS: "1000",
+            ...env
+        },
+        stdio: ["ignore", "ignore", "pipe"]
+    });
+
+    const records = [];
+    const exited = new Promise((resolve) => child.once("exit", (code) => resolve(code)));
+    const url = await new Promise((resolve, reject) => {
+        let buffered = "";
+        child.stderr.setEncoding("utf8");
+        child.stderr.on("data", (chunk) => {
+            buffered += chunk;
+            const lines = buffered.split("\n");
+            buffered = lines.pop();
+            for (const line of lines) {
+                const record = JSON.parse(line);
+                records.push(record);
+                if (record.event === "listening") {
+                    resolve(record.url);
+                }
+            }
+        });
+        exited.then((code) => reject(new Error(`server.js exited with ${code}: ${JSON.stringify(records)}`)));
+    });
+
+    return {
+        url,
+        dir,
+        records,
+        async stop() {
+            child.kill("SIGTERM");
+            const code = await exited;
+            rmSync(dir, { recursive: true, force: true });
+            return code;
+        }
+    };
+}
+
+export const initializeRequest = {
+    jsonrpc: "2.0",
+    id: 1,
+    method: "initialize",
+    params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "test", version: "0" } }
+};
+
+// POST a JSON-RPC message to /mcp the way a Streamable HTTP client does
+export function postMcp(url, body, { token, sessionId, headers = {} } = {}) {
+    return fetch(`${url}/mcp`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json, text/event-stream",
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(sessionId ? { "Mcp-Session-Id": sessionId } : {}),
+            ...headers
+        },
+        body: JSON.stringify(body)
+    });
+}
+
+// Open a Streamable HTTP session for `token`; resolves to its session id
+export async function openSession(url, token) {
+    const response = await postMcp(url, initializeRequest, { token });
+    if (response.status !== 200) {
+        throw new Error(`initialize answered ${response.status}: ${await response.text()}`);
+    }
+    await response.body?.cancel();
+    return response.headers.get("mcp-session-id");
+}
+
+// The JSON-RPC message answering a POST, sent as JSON or as one SSE event
+export async function readMessage(response) {
+    const text = await response.text();
+    if (response.headers.get("content-type")?.startsWith("text/event-stream")) {
+        const data = text.split("\n").find((line) => line.startsWith("data: "));
+        return JSON.parse(data.slice("data: ".length));
+    }
+    return JSON.parse(text);
+}
+
+// Open a legacy SSE session; resolves to its session id and a function
+// closing the stream
+export async function openSseSession(url, token) {
+    const controller = new AbortController();
+    const response = await fetch(`${url}/sse`, {
+        headers: { Authorization: `Bearer ${token}`, Accept: "text/event-stream" },
+        signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    while (!/sessionId=([\w-]+)/.test(text)) {
+        const { value, done } = await reader.read();
+        if (done) {
+            throw new Error(`SSE stream ended early: ${response.status} ${text}`);
+        }
+        text += decoder.decode(value);
+    }
+    return { sessionId: text.match(/sessionId=([\w-]+)/)[1], close: () => controller.abort() };
+}
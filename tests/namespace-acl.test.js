@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, beforeEach, describe, it } from "node:test";
+import { createNamespaceAcl } from "../src/namespace-acl.js";
+import { BUILT_IN_ROLES, createPolicy } from "../src/rbac.js";
+
+const dir = mkdtempSync(join(tmpdir(), "knoxboss-acl-"));
+const policy = createPolicy(BUILT_IN_ROLES);
+const owner = { subject: "owner", roles: ["agent"], agentId: "agent_001" };
+const reader = { subject: "reader", roles: ["agent"], agentId: "agent_002" };
+const namespace = "agents/agent_001";
+let count = 0;
+
+// Make every write to `path` fail: rename can't replace a non-empty directory
+const blockWrites = (path) => {
+    rmSync(path, { force: true });
+    mkdirSync(path);
+    writeFileSync(join(path, "in-the-way"), "");
+};
+
+describe("Namespace ACL", () => {
+    let path;
+    let acl;
+
+    beforeEach(() => {
+        path = join(dir, `acl-${++count}.json`);
+        acl = createNamespaceAcl({ path, policy, audit: { record() {} } });
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("lets an agent share its namespace until the grant is revoked", async () => {
+        assert.equal(acl.allows(reader, namespace, "read"), false);
+
+        const grant = await acl.grant(owner, { namespace, grantee: { agentId: "agent_002" }, operations: ["read"] });
+        assert.equal(acl.allows(reader, namespace, "read"), true);
+        assert.equal(acl.allows(reader, namespace, "write"), false);
+        assert.deepEqual(JSON.parse(readFileSync(path, "utf8")).grants.map(({ id }) => id), [grant.id]);
+
+        await acl.revoke(owner, { grantId: grant.id });
+        assert.equal(acl.allows(reader, namespace, "read"), false);
+        assert.deepEqual(JSON.parse(readFileSync(path, "utf8")).grants, []);
+    });
+
+    it("refuses to grant access the grantor doesn't have", async () => {
+        await assert.rejects(acl.grant(reader, { namespace, grantee: { subject: "someone" }, operations: ["read"] }), { code: "ACCESS_DENIED" });
+    });
+
+    it("doesn't apply a grant that could not be written, and recovers for the next one", async () => {
+        blockWrites(path);
+        await assert.rejects(acl.grant(owner, { namespace, grantee: { agentId: "agent_002" }, operations: ["read"] }));
+        assert.equal(acl.allows(reader, namespace, "read"), false);
+        await acl.flush();
+
+        rmSync(path, { recursive: true });
+        await acl.grant(owner, { namespace, grantee: { agentId: "agent_002" }, operations: ["read"] });
+        assert.equal(acl.allows(reader, namespace, "read"), true);
+    });
+
+    it("keeps a grant whose revocation could not be written", async () => {
+        const grant = await acl.grant(owner, { namespace, grantee: { agentId: "agent_002" }, operations: ["read"] });
+        blockWrites(path);
+        await assert.rejects(acl.revoke(owner, { grantId: grant.id }));
+        assert.equal(acl.allows(reader, namespace, "read"), true);
+    });
+
+    it("keeps every one of concurrent grants", async () => {
+        await Promise.all(["agent_002", "agent_003", "agent_004"].map((agentId) =>
+            acl.grant(owner, { namespace, grantee: { agentId }, operations: ["read"] })));
+        assert.equal(JSON.parse(readFileSync(path, "utf8")).grants.length, 3);
+    });
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CalculationError, compute } from "../src/precision.js";
+
+describe("Calculator precision modes", () => {
+    it("adds in float mode", () => {
+        assert.equal(compute("add", 0.1, 0.2), 0.1 + 0.2);
+    });
+
+    it("rejects float results that overflow to Infinity", () => {
+        assert.throws(() => compute("add", 1e308, 1e308), (error) => error instanceof CalculationError && error.code === "NON_FINITE_RESULT");
+        assert.throws(() => compute("multiply", -1e200, 1e200), { code: "NON_FINITE_RESULT" });
+    });
+
+    it("computes the same overflowing sum exactly in decimal mode", () => {
+        assert.equal(compute("add", "1e308", "1e308", { precision: "decimal" }), `2${"0".repeat(308)}`);
+    });
+
+    it("rounds decimal results to the requested scale", () => {
+        assert.equal(compute("divide", "1", "3", { precision: "decimal", scale: 5 }), "0.33333");
+        assert.equal(compute("divide", "2", "3", { precision: "decimal", scale: 5 }), "0.66667");
+        assert.equal(compute("divide", "10", "4", { precision: "decimal", scale: 0 }), "2");
+        assert.equal(compute("add", "0.1", "0.2", { precision: "decimal" }), "0.3");
+        assert.equal(compute("multiply", "1.005", "1", { precision: "decimal", scale: 2, rounding: "half-up" }), "1.01");
+        assert.equal(compute("subtract", "1", "1.25", { precision: "decimal" }), "-0.25");
+    });
+
+    it("rounds ties and remainders by each rounding mode, on both signs", () => {
+        const round = (a, b, rounding) => compute("divide", a, b, { precision: "decimal", scale: 0, rounding });
+        const expected = {
+            "half-up": ["3", "-3", "4", "-4"],
+            "half-even": ["2", "-2", "4", "-4"],
+            "half-down": ["2", "-2", "3", "-3"],
+            up: ["3", "-3", "4", "-4"],
+            down: ["2", "-2", "3", "-3"],
+            ceiling: ["3", "-2", "4", "-3"],
+            floor: ["2", "-3", "3", "-4"]
+        };
+        for (const [rounding, results] of Object.entries(expected)) {
+            assert.deepEqual([round("5", "2", rounding), round("-5", "2", rounding), round("7", "2", rounding), round("7", "-2", rounding)], results, rounding);
+        }
+        // Past the tie, every half mode rounds away from zero
+        assert.equal(round("-2.6", "1", "half-even"), "-3");
+        assert.equal(round("-2.6", "1", "half-down"), "-3");
+        assert.equal(round("-2.4", "1", "half-up"), "-2");
+    });
+
+    it("computes whole numbers exactly in bigint mode", () => {
+        assert.equal(compute("add", "9007199254740993", "1", { precision: "bigint" }), "9007199254740994");
+        assert.equal(compute("multiply", "123456789012345678901234567890", "-2", { precision: "bigint" }), "-246913578024691357802469135780");
+        assert.equal(compute("subtract", "2.0", "3e2", { precision: "bigint" }), "-298");
+        assert.equal(compute("divide", "7", "2", { precision: "bigint" }), "4");
+        assert.equal(compute("divide", "-7", "2", { precision: "bigint", rounding: "down" }), "-3");
+        assert.throws(() => compute("add", "1.5", "1", { precision: "bigint" }), { code: "NOT_AN_INTEGER" });
+    });
+
+    it("rejects division by zero in every precision mode", () => {
+        assert.throws(() => compute("divide", 1, 0), { code: "DIVISION_BY_ZERO" });
+        assert.throws(() => compute("divide", "1", "0.0", { precision: "decimal" }), { code: "DIVISION_BY_ZERO" });
+        assert.throws(() => compute("divide", "1", "0", { precision: "bigint" }), { code: "DIVISION_BY_ZERO" });
+    });
+});
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { logger } from "../src/logger.js";
+import { BUILT_IN_ROLES, FORBIDDEN, createPolicy, enforcePolicy, loadRoles } from "../src/rbac.js";
+
+const dir = mkdtempSync(join(tmpdir(), "knoxboss-rbac-"));
+
+const text = (value) => async () => ({ content: [{ type: "text", text: value }] });
+
+// A server offering a greeting, a calculator tool and the greeting resource
+// to `identity`, connected to a client
+const connectedAs = async (identity, policy = createPolicy(BUILT_IN_ROLES)) => {
+    const server = new McpServer({ name: "test", version: "0" });
+    enforcePolicy(server, identity, policy);
+    server.registerTool("get_greeting", { description: "Greet" }, text("hello"));
+    server.registerTool("calculate", { description: "Calculate" }, text("42"));
+    server.registerResource("greeting", "greeting://world", {}, async (uri) => ({ contents: [{ uri: uri.href, text: "hello" }] }));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: "test", version: "0" });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    return client;
+};
+
+describe("Role-based access control", () => {
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("grants what a role and the roles it inherits allow", () => {
+        const policy = createPolicy(BUILT_IN_ROLES);
+        const guest = { subject: "g", roles: ["guest"] };
+        const operator = { subject: "o", roles: ["operator"] };
+
+        assert.ok(policy.can(guest, "tool:get_greeting"));
+        assert.ok(!policy.can(guest, "tool:calculate"));
+        assert.ok(!policy.can(guest, "resource:calculator-history:read"));
+        // operator <- user <- viewer <- guest
+        assert.ok(policy.can(operator, "tool:get_greeting"));
+        assert.ok(policy.can(operator, "resource:calculator-history:read"));
+        assert.ok(policy.can(operator, "memory:agent_001:read"));
+        assert.ok(!policy.can(operator, "memory:agent_001:write"));
+        assert.ok(policy.can({ subject: "a", roles: ["admin"] }, "admin:sessions"));
+        assert.ok(!policy.can({ subject: "n", roles: [] }, "tool:get_greeting"));
+    });
+
+    it("loads custom roles from config and refuses unknown parents and cycles", () => {
+        const config = join(dir, "roles.json");
+        writeFileSync(config, JSON.stringify({ roles: { auditor: { inherits: ["viewer"], permissions: ["tool:get_system_info"] } } }));
+        const policy = createPolicy(loadRoles(config));
+        assert.ok(policy.can({ roles: ["auditor"] }, "tool:get_system_info"));
+        assert.ok(policy.can({ roles: ["auditor"] }, "resource:greeting:read"));
+        assert.ok(!policy.can({ roles: ["auditor"] }, "tool:calculate"));
+
+        writeFileSync(config, JSON.stringify({ roles: { orphan: { inherits: ["missing"] } } }));
+        assert.throws(() => loadRoles(config), /Role "orphan" inherits unknown role "missing"/);
+        writeFileSync(config, JSON.stringify({ roles: { a: { inherits: ["b"] }, b: { inherits: ["a"] } } }));
+        assert.throws(() => loadRoles(config), /Role inheritance cycle/);
+    });
+
+    it("hides tools and resources the caller may not use", async () => {
+        const guest = await connectedAs({ subject: "g", roles: ["guest"] });
+        assert.deepEqual((await guest.listTools()).tools.map(({ name }) => name), ["get_greeting"]);
+        assert.deepEqual((await guest.listResources()).resources.map(({ name }) => name), ["greeting"]);
+
+        const user = await connectedAs({ subject: "u", roles: ["user"] });
+        assert.deepEqual((await user.listTools()).tools.map(({ name }) => name).sort(), ["calculate", "get_greeting"]);
+    });
+
+    it("answers a forbidden tool call with FORBIDDEN and logs the denial", async () => {
+        const records = [];
+        const stopListening = logger.listen((record) => records.push(record));
+        try {
+            const client = await connectedAs({ subject: "g", roles: ["guest"] });
+            await assert.rejects(client.callTool({ name: "calculate", arguments: {} }), (error) => {
+                assert.equal(error.code, FORBIDDEN);
+                assert.match(error.message, /tool:calculate is not granted/);
+                return true;
+            });
+            assert.equal((await client.callTool({ name: "get_greeting", arguments: {} })).content[0].text, "hello");
+        } finally {
+            stopListening();
+        }
+
+        const decisions = records.filter(({ event }) => event === "authorization")
+            .map(({ level, subject, permission, decision }) => ({ level, subject, permission, decision }));
+        assert.deepEqual(decisions, [
+            { level: "warning", subject: "g", permission: "tool:calculate", decision: "deny" },
+            { level: "info", subject: "g", permission: "tool:get_greeting", decision: "allow" }
+        ]);
+    });
+});
@@ -1,6 +1,9 @@
 /**
  * Security Penetration Testing Suite for knoxBoss Authentication
  * Advanced security testing for distributed authentication systems
+ *
+ * The brute-force and rate-limit cases below run for real in
+ * tests/brute-force.test.js (`npm test`).
  */
 
 const { expect } = require('chai');
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { SessionLimitError, SessionRegistry } from "../src/sessions.js";
+import { initializeRequest, openSession, postMcp, signToken, startServer } from "./helpers/server.js";
+
+describe("Session registry", () => {
+    it("closes sessions that have been idle or open for too long", async (t) => {
+        t.mock.timers.enable({ apis: ["setInterval", "Date"] });
+        const sessions = new SessionRegistry({ idleTimeoutMs: 1000, maxAgeMs: 3000, maxSessions: 10, maxPerIdentity: 10, sweepIntervalMs: 500 });
+        const closed = [];
+        const open = (id) => sessions.open(id, { subject: "alice", transport: "streamable", close: async () => closed.push(id) });
+        try {
+            open("idle");
+            open("busy");
+            t.mock.timers.tick(500);
+            sessions.touch("busy");
+            t.mock.timers.tick(500);
+            assert.deepEqual(closed, ["idle"]);
+            assert.deepEqual(sessions.list().map(({ id }) => id), ["busy"]);
+
+            // Activity doesn't keep a session open past its maximum age
+            for (let elapsed = 1000; elapsed < 3000; elapsed += 500) {
+                sessions.toolCalled("busy");
+                t.mock.timers.tick(500);
+            }
+            assert.deepEqual(closed, ["idle", "busy"]);
+            assert.equal(sessions.size, 0);
+        } finally {
+            sessions.close();
+        }
+    });
+
+    it("refuses sessions over the per-identity and global caps", () => {
+        const sessions = new SessionRegistry({ idleTimeoutMs: 60000, maxAgeMs: 60000, maxSessions: 3, maxPerIdentity: 2 });
+        const open = (id, subject) => {
+            sessions.admit(subject);
+            sessions.open(id, { subject, transport: "sse", close: async () => {} });
+        };
+        try {
+            open("a1", "alice");
+            open("a2", "alice");
+            assert.throws(() => open("a3", "alice"), (error) => error instanceof SessionLimitError && error.scope === "identity");
+            open("b1", "bob");
+            assert.throws(() => open("c1", "carol"), (error) => error instanceof SessionLimitError && error.scope === "global");
+            sessions.closed("a1");
+            open("c1", "carol");
+        } finally {
+            sessions.close();
+        }
+    });
+});
+
+describe("Session caps and administration over HTTP", () => {
+    let server;
+    const alice = signToken({ sub: "alice", role: "user" });
+    const bob = signToken({ sub: "bob", role: "user" });
+    const admin = signToken({ sub: "root", role: "admin" });
+
+    before(async () => {
+        server = await startServer({ env: { MCP_MAX_SESSIONS: "3", MCP_MAX_SESSIONS_PER_IDENTITY: "2" } });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const adminRequest = (path, { method = "GET", token = admin } = {}) =>
+        fetch(`${server.url}${path}`, { method, headers: { Authorization: `Bearer ${token}` } });
+
+    it("answers 429 over the per-identity cap and 503 when the server is full", async () => {
+        await openSession(server.url, alice);
+        await openSession(server.url, alice);
+        const overIdentity = await postMcp(server.url, initializeRequest, { token: alice });
+        assert.equal(overIdentity.status, 429);
+
+        await openSession(server.url, bob);
+        const overGlobal = await postMcp(server.url, initializeRequest, { token: signToken({ sub: "carol", role: "user" }) });
+        assert.equal(overGlobal.status, 503);
+    });
+
+    it("lets only callers with admin:sessions list and close sessions", async () => {
+        assert.equal((await adminRequest("/admin/sessions", { token: alice })).status, 403);
+        assert.equal((await adminRequest("/admin/sessions", { method: "DELETE", token: alice })).status, 403);
+
+        const listed = (await (await adminRequest("/admin/sessions")).json()).sessions;
+        assert.deepEqual(listed.map(({ subject }) => subject).sort(), ["alice", "alice", "bob"]);
+        assert.deepEqual(Object.keys(listed[0]).sort(), ["ageSeconds", "calls", "createdAt", "id", "idleSeconds", "lastActiveAt", "subject", "transport"]);
+        assert.equal(listed[0].transport, "streamable");
+
+        const bobs = listed.find(({ subject }) => subject === "bob");
+        const closed = await adminRequest(`/admin/sessions/${bobs.id}`, { method: "DELETE" });
+        assert.deepEqual(await closed.json(), { success: true, terminated: 1 });
+        assert.equal((await adminRequest(`/admin/sessions/${bobs.id}`, { method: "DELETE" })).status, 404);
+        const gone = await postMcp(server.url, { jsonrpc: "2.0", id: 2, method: "tools/list" }, { token: bob, sessionId: bobs.id });
+        assert.equal(gone.status, 404);
+
+        const closedAlice = await adminRequest("/admin/sessions?subject=alice", { method: "DELETE" });
+        assert.deepEqual(await closedAlice.json(), { success: true, terminated: 2 });
+        assert.deepEqual((await (await adminRequest("/admin/sessions")).json()).sessions, []);
+
+        // With the sessions closed, alice is admitted again
+        await openSession(server.url, alice);
+    });
+});
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { EXIT_CODES, InFlight, createShutdown } from "../src/shutdown.js";
+import { openSession, postMcp, signToken, startServer } from "./helpers/server.js";
+
+// A shutdown whose steps record themselves in `steps` and whose exit
+// resolves `exited` with the exit code
+const shutdownRecorder = ({ gracePeriodMs = 1000, inFlight = new InFlight(), closeSessions = () => {} } = {}) => {
+    const steps = [];
+    let exit;
+    const exited = new Promise((resolve) => {
+        exit = resolve;
+    });
+    const shutdown = createShutdown({
+        gracePeriodMs,
+        inFlight,
+        stopAccepting: () => steps.push("stop accepting"),
+        closeSessions: async () => {
+            steps.push("close sessions");
+            await closeSessions();
+        },
+        flush: () => steps.push("flush"),
+        exit: (code) => {
+            steps.push("exit");
+            exit(code);
+        }
+    });
+    return { steps, shutdown, exited };
+};
+
+describe("Graceful shutdown", () => {
+    it("stops accepting, waits for running tool calls, closes sessions, flushes and exits cleanly", async () => {
+        const inFlight = new InFlight();
+        let finishCall;
+        inFlight.track(new Promise((resolve) => {
+            finishCall = resolve;
+        }));
+        const { steps, shutdown, exited } = shutdownRecorder({ inFlight });
+
+        shutdown("SIGTERM");
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.deepEqual(steps, ["stop accepting"]);
+
+        finishCall();
+        assert.equal(await exited, EXIT_CODES.clean);
+        assert.deepEqual(steps, ["stop accepting", "close sessions", "flush", "exit"]);
+    });
+
+    it("runs the sequence once however often it is called", async () => {
+        const { steps, shutdown, exited } = shutdownRecorder();
+        await Promise.all([shutdown("SIGTERM"), shutdown("SIGINT")]);
+        assert.equal(await exited, EXIT_CODES.clean);
+        assert.equal(steps.filter((step) => step === "exit").length, 1);
+    });
+
+    it("exits with 2 when tool calls outlast the grace period", async () => {
+        const inFlight = new InFlight();
+        inFlight.track(new Promise(() => {}));
+        const { steps, shutdown, exited } = shutdownRecorder({ gracePeriodMs: 20, inFlight });
+
+        shutdown("SIGTERM");
+        assert.equal(await exited, EXIT_CODES.abandoned);
+        assert.deepEqual(steps, ["stop accepting", "close sessions", "flush", "exit"]);
+    });
+
+    it("carries on past a failing step and exits with 1", async () => {
+        const { steps, shutdown, exited } = shutdownRecorder({
+            closeSessions: () => {
+                throw new Error("close failed");
+            }
+        });
+
+        shutdown("SIGTERM");
+        assert.equal(await exited, EXIT_CODES.failed);
+        assert.deepEqual(steps, ["stop accepting", "close sessions", "flush", "exit"]);
+    });
+
+    it("tells HTTP sessions at their default logging level that the server is shutting down", async () => {
+        const server = await startServer();
+        const token = signToken({ sub: "alice", role: "user" });
+        const sessionId = await openSession(server.url, token);
+        const initialized = await postMcp(server.url, { jsonrpc: "2.0", method: "notifications/initialized" }, { token, sessionId });
+        assert.equal(initialized.status, 202);
+
+        const stream = await fetch(`${server.url}/mcp`, {
+            headers: { Authorization: `Bearer ${token}`, "Mcp-Session-Id": sessionId, Accept: "text/event-stream" }
+        });
+        assert.equal(stream.status, 200);
+        const received = (async () => {
+            const reader = stream.body.getReader();
+            const decoder = new TextDecoder();
+            let text = "";
+            while (!text.includes("shutdown_started")) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+                text += decoder.decode(value);
+            }
+            return text;
+        })();
+
+        assert.equal(await server.stop(), EXIT_CODES.clean);
+        const notification = JSON.parse((await received).split("\n").find((line) => line.includes("shutdown_started")).slice("data: ".length));
+        assert.equal(notification.method, "notifications/message");
+        assert.equal(notification.params.level, "warning");
+        assert.equal(notification.params.data.reason, "SIGTERM");
+    });
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { onToolCall } from "../src/tool-calls.js";
+
+const connected = async (server) => {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: "test", version: "0" });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    return client;
+};
+
+describe("Tool call hook", () => {
+    it("tells every subscriber about each call and how it ended, wrapping registerTool once", async () => {
+        const server = new McpServer({ name: "test", version: "0" });
+        const registerTool = server.registerTool;
+        const first = [];
+        const second = [];
+        onToolCall(server, (call) => first.push(call));
+        const wrapped = server.registerTool;
+        onToolCall(server, (call) => second.push(call));
+        assert.notEqual(wrapped, registerTool);
+        assert.equal(server.registerTool, wrapped);
+
+        server.registerTool("echo", { inputSchema: { text: z.string() } }, async ({ text }) => {
+            if (text === "fail") {
+                throw new Error("failed on purpose");
+            }
+            return { content: [{ type: "text", text }] };
+        });
+        const client = await connected(server);
+
+        await client.callTool({ name: "echo", arguments: { text: "hi" } });
+        await client.callTool({ name: "echo", arguments: { text: "fail" } });
+
+        assert.equal(first.length, 2);
+        assert.deepEqual(second.map(({ name, input }) => ({ name, input })), [{ name: "echo", input: { text: "hi" } }, { name: "echo", input: { text: "fail" } }]);
+        const [ok, failed] = await Promise.all(first.map(({ done }) => done));
+        assert.equal(ok.result.content[0].text, "hi");
+        assert.equal(failed.error.message, "failed on purpose");
+        assert.ok(ok.durationMs >= 0);
+        await client.close();
+    });
+});